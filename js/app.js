@@ -1,6 +1,12 @@
 // ODS v9.1 - Main Application Entry
 console.log('ODS v9.1 Initializing...');
 
+// How often a blocked upgrade asks the other tabs again, in ms
+const BLOCKED_RECHECK_INTERVAL = 3000;
+
+// Latest database connection state reported by onConnectionStatus()
+let connectionState = null;
+
 /**
  * Set up scale control buttons
  */
@@ -33,6 +39,24 @@ function setupScaleControls() {
      * Handle keyboard shortcuts
      */
     document.addEventListener('keydown', (e) => {
+        // Ctrl/Cmd + Alt + Plus/Minus/0 scale the top bar on its own
+        // (e.code, since Alt changes e.key on some layouts)
+        if ((e.ctrlKey || e.metaKey) && e.altKey) {
+            if (e.code === 'Equal' || e.code === 'NumpadAdd') {
+                e.preventDefault();
+                setTopBarScale(getTopBarScale() + theme.scale.step);
+                saveTheme();
+            } else if (e.code === 'Minus' || e.code === 'NumpadSubtract') {
+                e.preventDefault();
+                setTopBarScale(getTopBarScale() - theme.scale.step);
+                saveTheme();
+            } else if (e.code === 'Digit0' || e.code === 'Numpad0') {
+                e.preventDefault();
+                setTopBarScale(null);
+                saveTheme();
+            }
+            return;
+        }
         // Ctrl/Cmd + Plus to scale up
         if ((e.ctrlKey || e.metaKey) && (e.key === '+' || e.key === '=')) {
             e.preventDefault();
@@ -54,6 +78,107 @@ function setupScaleControls() {
     console.log('Scale controls initialized');
 }
 
+/**
+ * Show a message in the status banner
+ */
+function showStatus(message) {
+    const banner = document.getElementById('status-banner');
+    if (!banner) {
+        console.warn('Status:', message);
+        return;
+    }
+    banner.textContent = message;
+    banner.classList.remove('hidden');
+}
+
+/**
+ * Hide the status banner
+ */
+function hideStatus() {
+    const banner = document.getElementById('status-banner');
+    if (banner) {
+        banner.classList.add('hidden');
+    }
+}
+
+/**
+ * Describe a blocked upgrade from the tabs that answered
+ *
+ * Tabs running ODS from before tab coordination cannot answer, so when no
+ * answering tab is blocking, the blocker is one of those.
+ */
+function describeBlockedUpgrade(status, tabs) {
+    const describe = (list) => list.map(tab =>
+        `"${tab.title}" (${tab.path}, opened ${new Date(tab.opened).toLocaleTimeString()})`
+    ).join(', ');
+    
+    const blocking = tabs.filter(isBlockingTab);
+    if (blocking.length > 0) {
+        return `Database upgrade blocked by ${describe(blocking)}. Close or reload that tab to continue.`;
+    }
+    
+    const upToDate = tabs.length > 0 ? ` These tabs are up to date and not blocking: ${describe(tabs)}.` : '';
+    return `Database upgrade (v${status.oldVersion} to v${status.newVersion}) blocked by an ODS tab running an older version, ` +
+        `which cannot say which tab it is.${upToDate} Close or reload ODS tabs opened before ` +
+        `${new Date(TAB_OPENED).toLocaleTimeString()} to continue.`;
+}
+
+/**
+ * Keep asking which tabs block the upgrade until it goes through
+ */
+async function reportBlockedUpgrade(status) {
+    showStatus('Database upgrade waiting for other ODS tabs to close...');
+    while (connectionState === 'blocked') {
+        const tabs = await findOtherTabs();
+        if (connectionState !== 'blocked') break;
+        showStatus(describeBlockedUpgrade(status, tabs));
+        await new Promise(resolve => setTimeout(resolve, BLOCKED_RECHECK_INTERVAL));
+    }
+}
+
+/**
+ * Tell the user when other tabs hold up or replace the database
+ */
+function setupConnectionHandlers() {
+    onConnectionStatus((status) => {
+        connectionState = status.state;
+        switch (status.state) {
+            case 'open':
+                hideStatus();
+                break;
+            case 'blocked':
+                reportBlockedUpgrade(status).catch(error => console.error('Failed to find blocking tabs:', error));
+                break;
+            case 'versionchange':
+                showStatus('Database is being upgraded by another tab, reconnecting...');
+                break;
+            case 'outdated':
+                showStatus('A newer ODS version upgraded the database in another tab. Reload this tab to continue.');
+                break;
+            case 'deleted':
+                showStatus('Database was deleted in another tab. Reload to start fresh.');
+                break;
+        }
+    });
+}
+
+/**
+ * Keep this window in sync with writes made in other tabs
+ */
+function setupChangeSync() {
+    onDataChange(async (change) => {
+        if (change.source !== 'remote') return;
+        
+        console.log(`Theme changed in another tab (${change.op}), reloading`);
+        await loadTheme();
+        applyTheme(theme);
+        setScale(currentScale);
+        await updateThemeSelect();
+    }, { store: 'themes' });
+    
+    console.log('Change sync initialized');
+}
+
 /**
  * Main application initialization
  */
@@ -61,25 +186,50 @@ async function initApp() {
     try {
         console.log('Application starting...');
         
+        // Report blocked upgrades and version changes from other tabs
+        setupConnectionHandlers();
+        
         // Initialize database first
         await initDB();
+        
+        // Scheduled snapshots run in whichever tab wins the leader election
+        initSnapshots();
+        
+        // Join the other open tabs and elect a leader for singleton jobs
+        initTabs();
         console.log('Database ready');
         
         // Initialize theme system
         await initTheme();
         
+        // Theme picker, manager and editor
+        await setupThemeControls();
+        setupThemeEditor();
+        
+        // Open the last used workspace and the workspace switcher
+        await initLayout();
+        setupLayoutHandlers();
+        await setupWorkspaceControls();
+        
         // Set up scale controls
         setupScaleControls();
         
-        // Set up backup handlers
+        // Set up backup handlers and the snapshot list
         setupBackupHandlers();
+        setupSnapshotControls();
         console.log('Backup handlers initialized');
         
+        // Set up operation report export
+        setupReportHandlers();
+        
+        // Follow changes from other tabs
+        setupChangeSync();
+        
         console.log('ODS v9.1 Ready');
         
         // Add ready indicator to body
         document.body.classList.add('app-ready');
-        
+    
     } catch (error) {
         console.error('Initialization failed:', error);
         // Show user-friendly error
@@ -97,7 +247,7 @@ async function initApp() {
 document.addEventListener('visibilitychange', () => {
     if (!document.hidden) {
         console.log('App regained focus');
-        // Could reload theme here if needed
+        // Theme changes from other tabs arrive through setupChangeSync()
     }
 });
 
@@ -2,71 +2,307 @@
 console.log('Backup module loaded');
 
 // Backup configuration
-const BACKUP_VERSION = '9.1';
+const BACKUP_VERSION = '9.2';
 const BACKUP_MAGIC = 'ODS_BACKUP_v9';
+const BACKUP_ENCRYPTED_MAGIC = 'ODS_BACKUP_v9_ENCRYPTED';
+
+// Passphrase encryption settings for new encrypted backups
+const BACKUP_ENCRYPTION = {
+    algorithm: 'AES-GCM',
+    kdf: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: 600000
+};
+
+// First bytes of every gzip file
+const GZIP_HEADER = [0x1f, 0x8b];
+
+// Records read per page, and written per chunk, when streaming a backup
+const BACKUP_STREAM_BATCH = 500;
+
+// Characters JSON allows between tokens
+const JSON_WHITESPACE = ' \t\n\r';
+
+// Stores included in backups
+const BACKUP_STORES = ['themes', 'operations', 'workspaces'];
+
+// Upgrades from older backup formats, see registerBackupUpgrade()
+const BACKUP_UPGRADES = [];
+
+// Conflict policies for merge imports
+const MERGE_POLICIES = {
+    KEEP_LOCAL: 'keep-local',
+    KEEP_INCOMING: 'keep-incoming',
+    NEWEST_WINS: 'newest-wins',
+    KEEP_BOTH: 'keep-both'
+};
+
+/**
+ * Build a backup object with checksums, of all data or of a scope
+ *
+ * Holds the whole backup in memory; exports stream it with
+ * createBackupStream() instead.
+ */
+async function buildBackup(scope = {}) {
+    const backupScope = normalizeBackupScope(scope);
+    
+    // Gather the selected data from database
+    const data = await selectBackupData(backupScope);
+    const count = (storeName) => (data[storeName] || []).length;
+    
+    const timestamp = Date.now();
+    
+    return {
+        magic: BACKUP_MAGIC,
+        version: BACKUP_VERSION,
+        timestamp: timestamp,
+        date: new Date(timestamp).toISOString(),
+        scope: backupScope,
+        data: data,
+        checksums: await computeBackupChecksums(data),
+        metadata: {
+            themesCount: count('themes'),
+            operationsCount: count('operations'),
+            workspacesCount: count('workspaces'),
+            exportedBy: 'ODS v9.1',
+            userAgent: navigator.userAgent
+        }
+    };
+}
+
+/**
+ * Fill in a backup scope
+ *
+ * stores limits which stores are included. workspaceId keeps one workspace
+ * and its operations; status and modifiedFrom/modifiedTo (ms) filter
+ * operations. Unset filters are null.
+ */
+function normalizeBackupScope(scope = {}) {
+    const stores = scope.stores && scope.stores.length > 0 ? scope.stores : BACKUP_STORES;
+    stores.forEach(storeName => {
+        if (!BACKUP_STORES.includes(storeName)) {
+            throw new Error(`Store "${storeName}" cannot be backed up`);
+        }
+    });
+    
+    return {
+        stores: BACKUP_STORES.filter(storeName => stores.includes(storeName)),
+        workspaceId: scope.workspaceId || null,
+        status: scope.status || null,
+        modifiedFrom: scope.modifiedFrom || null,
+        modifiedTo: scope.modifiedTo || null
+    };
+}
+
+/**
+ * Check whether a scope leaves anything out
+ */
+function isPartialScope(scope) {
+    return Boolean(scope) && (scope.stores.length < BACKUP_STORES.length || filtersRecords(scope));
+}
+
+/**
+ * Check whether a scope keeps only some records of its stores
+ */
+function filtersRecords(scope) {
+    return Boolean(scope) && (
+        scope.workspaceId !== null ||
+        scope.status !== null ||
+        scope.modifiedFrom !== null ||
+        scope.modifiedTo !== null
+    );
+}
+
+/**
+ * Check whether a record falls inside a scope, as getScopeQuery() selects
+ */
+function isInScope(scope, storeName, record) {
+    if (storeName === 'workspaces') {
+        return scope.workspaceId === null || record.id === scope.workspaceId;
+    }
+    if (storeName !== 'operations') {
+        return true;
+    }
+    return (scope.workspaceId === null || record.workspaceId === scope.workspaceId) &&
+        matchesWhere(record, getScopeQuery(scope, storeName).where);
+}
+
+/**
+ * Describe a scope for display
+ */
+function describeBackupScope(scope) {
+    if (!isPartialScope(scope)) {
+        return 'all data';
+    }
+    
+    const parts = [];
+    if (scope.stores.length < BACKUP_STORES.length) parts.push(`stores: ${scope.stores.join(', ')}`);
+    if (scope.workspaceId !== null) parts.push(`workspace ${scope.workspaceId}`);
+    if (scope.status !== null) parts.push(`${scope.status} operations`);
+    if (scope.modifiedFrom !== null || scope.modifiedTo !== null) {
+        const from = scope.modifiedFrom !== null ? new Date(scope.modifiedFrom).toLocaleDateString() : 'start';
+        const to = scope.modifiedTo !== null ? new Date(scope.modifiedTo).toLocaleDateString() : 'now';
+        parts.push(`modified ${from} - ${to}`);
+    }
+    return parts.join('; ');
+}
+
+/**
+ * Read the records a scope selects, store by store
+ */
+async function selectBackupData(scope) {
+    const data = {};
+    
+    for (const storeName of scope.stores) {
+        const result = await queryItems(storeName, getScopeQuery(scope, storeName));
+        data[storeName] = result.items;
+    }
+    
+    return data;
+}
+
+/**
+ * Read the records a scope selects from one store, a page at a time
+ */
+async function* readScopedPages(scope, storeName) {
+    let query = getScopeQuery(scope, storeName);
+    
+    // Pages are read in separate transactions; a record modified in between
+    // would move along the modified index and be read twice
+    if (query.index === 'modified') {
+        query = { where: query.where };
+    }
+    
+    let after = null;
+    do {
+        const page = await queryItems(storeName, { ...query, limit: BACKUP_STREAM_BATCH, after: after });
+        if (page.items.length > 0) {
+            yield page.items;
+        }
+        after = page.hasMore ? page.nextCursor : null;
+    } while (after);
+}
+
+/**
+ * Query the operations a scope selects
+ */
+async function selectScopedOperations(scope) {
+    const result = await queryItems('operations', getScopeQuery(scope, 'operations'));
+    return result.items;
+}
+
+/**
+ * Build the queryItems() options that select a store's records in a scope
+ *
+ * Operations walk the narrowest index the scope allows.
+ */
+function getScopeQuery(scope, storeName) {
+    if (storeName === 'workspaces' && scope.workspaceId !== null) {
+        return { range: { only: scope.workspaceId } };
+    }
+    if (storeName !== 'operations') {
+        return {};
+    }
+    
+    const where = {};
+    if (scope.status !== null) {
+        where.status = scope.status;
+    }
+    if (scope.modifiedFrom !== null || scope.modifiedTo !== null) {
+        where.modified = {};
+        if (scope.modifiedFrom !== null) where.modified.gte = scope.modifiedFrom;
+        if (scope.modifiedTo !== null) where.modified.lte = scope.modifiedTo;
+    }
+    
+    let query = { where: where };
+    if (scope.workspaceId !== null) {
+        query = { index: 'workspaceId', range: { only: scope.workspaceId }, where: where };
+    } else if (where.modified) {
+        query = {
+            index: 'modified',
+            range: {
+                lower: scope.modifiedFrom !== null ? scope.modifiedFrom : undefined,
+                upper: scope.modifiedTo !== null ? scope.modifiedTo : undefined
+            },
+            where: where
+        };
+    } else if (scope.status !== null) {
+        query = { index: 'status', range: { only: scope.status }, where: where };
+    }
+    
+    return query;
+}
 
 /**
  * Export all data to JSON file
+ *
+ * The JSON is streamed from the database a page of records at a time, so a
+ * large backup is never built in memory. With options.compress (and always
+ * when encrypting, where supported) it is streamed through gzip. With
+ * options.passphrase the file is encrypted and only readable with it;
+ * encryption works on the whole (compressed) file at once. options.scope
+ * exports a subset, see normalizeBackupScope().
  */
-async function exportData() {
+async function exportData(options = {}) {
     try {
         console.log('Starting data export...');
+        const encrypted = Boolean(options.passphrase);
+        const compressed = (Boolean(options.compress) || encrypted) && canCompress();
+        const scope = normalizeBackupScope(options.scope);
+        const partial = isPartialScope(scope);
         
-        // Gather all data from database
-        const themes = await getAllItems('themes');
-        const operations = await getAllItems('operations');
-        const workspaces = await getAllItems('workspaces');
-        
-        // Get current timestamp
-        const timestamp = Date.now();
+        // Stream the JSON, compressed and encrypted as requested
+        const summary = {};
+        const stream = createBackupStream(scope, summary);
+        let blob;
+        if (compressed) {
+            console.log('Compressing backup...');
+            blob = await new Response(compressStream(stream)).blob();
+        } else {
+            blob = new Blob([await new Response(stream).blob()], { type: 'application/json' });
+        }
+        const timestamp = summary.timestamp;
         const date = new Date(timestamp);
         
-        // Create backup object
-        const backup = {
-            magic: BACKUP_MAGIC,
-            version: BACKUP_VERSION,
-            timestamp: timestamp,
-            date: date.toISOString(),
-            data: {
-                themes: themes,
-                operations: operations,
-                workspaces: workspaces
-            },
-            metadata: {
-                themesCount: themes.length,
-                operationsCount: operations.length,
-                workspacesCount: workspaces.length,
-                exportedBy: 'ODS v9.1',
-                userAgent: navigator.userAgent
-            }
-        };
-        
-        // Convert to JSON
-        const jsonString = JSON.stringify(backup, null, 2);
+        if (encrypted) {
+            console.log('Encrypting backup...');
+            const content = compressed ? new Uint8Array(await blob.arrayBuffer()) : await blob.text();
+            const envelope = await encryptBackup(content, options.passphrase);
+            blob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
+        }
         
         // Create filename with timestamp
         const dateString = date.toISOString().slice(0, 19).replace(/:/g, '-');
-        const filename = `ods-backup-${dateString}.json`;
+        const basename = `ods-backup-${dateString}${partial ? '-partial' : ''}`;
+        let filename = `${basename}.json`;
+        if (encrypted) {
+            filename = `${basename}.encrypted.json`;
+        } else if (compressed) {
+            filename = `${basename}.json.gz`;
+        }
         
         // Trigger download
-        downloadJSON(jsonString, filename);
+        downloadBlob(blob, filename);
         
         // Store backup record in database
         await addItem('backups', {
             timestamp: timestamp,
             version: BACKUP_VERSION,
             filename: filename,
-            size: jsonString.length,
+            encrypted: encrypted,
+            compressed: compressed,
+            size: blob.size,
+            scope: scope,
             counts: {
-                themes: themes.length,
-                operations: operations.length,
-                workspaces: workspaces.length
+                themes: summary.counts.themes || 0,
+                operations: summary.counts.operations || 0,
+                workspaces: summary.counts.workspaces || 0
             }
         });
         
         console.log(`Export successful: ${filename}`);
         return { success: true, filename: filename };
-        
+    
     } catch (error) {
         console.error('Export failed:', error);
         return { success: false, error: error.message };
@@ -74,218 +310,1386 @@ async function exportData() {
 }
 
 /**
- * Import data from JSON file
+ * Import data from JSON file
+ *
+ * options.mode is 'replace' (default) or 'merge'; options.policy picks the
+ * merge conflict policy. options.confirm(plan) is asked before anything is
+ * written and resolves to false to cancel or { policy }; by default the
+ * import preview dialog is shown. options.onProgress is passed through to
+ * bulkWrite. Encrypted and gzip files are detected; encrypted ones use
+ * options.passphrase, or ask for one. options.stores imports only those
+ * stores from the file; the rest are left untouched.
+ */
+async function importData(file, options = {}) {
+    try {
+        const plan = await prepareImport(file, options);
+        
+        const decision = await (options.confirm || confirmImportDialog)(plan);
+        if (!decision) {
+            throw new Error('Import cancelled by user');
+        }
+        
+        return await applyImport(plan, { ...options, policy: decision.policy || options.policy });
+    } catch (error) {
+        console.error('Import failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Read, decrypt, validate and upgrade a backup file and diff it with local data
+ *
+ * Nothing is written. Resolves to an import plan for applyImport(). The file
+ * is parsed as it streams in, but the plan holds every record: the diff and
+ * the single-transaction write need them all.
+ */
+async function prepareImport(file, options = {}) {
+    console.log('Starting data import...');
+    const mode = options.mode || 'replace';
+    
+    // Parse the file as it streams in, decompressing gzip files on the way
+    let backup = await readBackupFile(file);
+    
+    // Decrypt first if the file is passphrase protected
+    const encrypted = isEncryptedBackup(backup);
+    if (encrypted) {
+        const passphrase = options.passphrase || await promptDialog(
+            'Encrypted backup',
+            `${file.name} is encrypted.`,
+            { label: 'Passphrase', type: 'password', confirmLabel: 'Decrypt' }
+        );
+        if (passphrase === null) {
+            throw new Error('Import cancelled by user');
+        }
+        backup = parseBackupText(await decryptBackup(backup, passphrase));
+    }
+    
+    // Check the file as it was written: structure, format version and checksums
+    const fileCheck = await verifyBackupFile(backup);
+    if (!fileCheck.valid) {
+        throw new Error(fileCheck.error);
+    }
+    
+    // Bring older backups up to the current format
+    const originalVersion = backup.version;
+    const upgrade = await upgradeBackup(backup);
+    backup = upgrade.backup;
+    
+    // Validate every record in its upgraded shape before writing anything
+    const recordCheck = validateBackupRecords(backup);
+    const validation = validationResult(recordCheck.errors, fileCheck.warnings.concat(recordCheck.warnings));
+    if (!validation.valid) {
+        throw new Error(validation.error);
+    }
+    validation.warnings.forEach(warning => console.warn('Backup warning:', warning));
+    
+    // Only import the chosen stores that the file actually contains
+    const stores = selectImportStores(backup, options.stores);
+    backup = { ...backup, data: pickStores(backup.data, stores) };
+    
+    return {
+        mode: mode,
+        filename: file.name,
+        encrypted: encrypted,
+        backup: backup,
+        stores: stores,
+        upgradedFrom: upgrade.applied.length > 0 ? originalVersion : null,
+        upgrades: upgrade.applied,
+        warnings: validation.warnings,
+        diff: await diffBackup(backup)
+    };
+}
+
+/**
+ * Write an import plan in one transaction, after a pre-import snapshot
+ *
+ * Replace mode clears the plan's stores first, or for a backup of only some
+ * records (one workspace, a status, a date range) removes just the local
+ * records in that scope; merge mode applies the diff with options.policy. Resolves to the import result, including the id of the
+ * snapshot that undoLastImport() restores.
+ */
+async function applyImport(plan, options = {}) {
+    const { mode, backup, stores, diff } = plan;
+    const policy = mode === 'merge' ? options.policy || MERGE_POLICIES.NEWEST_WINS : null;
+    
+    if (policy && !Object.values(MERGE_POLICIES).includes(policy)) {
+        throw new Error(`Unknown merge policy: ${policy}`);
+    }
+    
+    // Keep the current data in the database so the import can be undone
+    console.log('Creating pre-import snapshot...');
+    const snapshot = await takeSnapshot(SNAPSHOT_REASONS.PRE_IMPORT);
+    if (!snapshot.success) {
+        throw new Error(`Pre-import snapshot failed: ${snapshot.error}`);
+    }
+    
+    // Apply all changes in one transaction so a failure leaves data untouched
+    let steps;
+    if (mode === 'merge') {
+        console.log(`Merging data with policy ${policy}...`);
+        const changes = resolveMerge(diff, policy);
+        steps = stores.flatMap(storeName => [
+            { store: storeName, op: 'add', records: changes[storeName].add },
+            { store: storeName, op: 'put', records: changes[storeName].put }
+        ]);
+    } else if (filtersRecords(backup.scope)) {
+        console.log(`Importing data, replacing ${describeBackupScope(backup.scope)}...`);
+        steps = stores.flatMap(storeName => {
+            const adds = new Set(diff[storeName].adds);
+            return [
+                { store: storeName, op: 'delete', records: diff[storeName].removals },
+                { store: storeName, op: 'add', records: diff[storeName].adds },
+                { store: storeName, op: 'put', records: diff[storeName].records.filter(record => !adds.has(record)) }
+            ];
+        });
+    } else {
+        console.log('Importing data...');
+        steps = stores.flatMap(storeName => [
+            { store: storeName, op: 'clear' },
+            { store: storeName, op: 'add', records: diff[storeName].records }
+        ]);
+    }
+    const result = await bulkWrite(steps, { onProgress: options.onProgress });
+    
+    const imported = {};
+    stores.forEach(storeName => {
+        imported[storeName] = {
+            added: result.stores[storeName].added,
+            updated: result.stores[storeName].updated
+        };
+    });
+    
+    // Record import in backups store
+    await addItem('backups', {
+        timestamp: Date.now(),
+        version: backup.version,
+        type: 'import',
+        mode: mode,
+        policy: policy,
+        filename: plan.filename,
+        stores: stores,
+        scope: backup.scope || null,
+        upgradedFrom: plan.upgradedFrom,
+        imported: imported,
+        summary: summarizeDiff(diff),
+        snapshotId: snapshot.id,
+        originalTimestamp: backup.timestamp
+    });
+    
+    console.log('Import successful:', imported);
+    
+    // Reload theme to apply imported settings
+    await reloadImportedTheme();
+    
+    const added = stores.reduce((total, storeName) => total + imported[storeName].added, 0);
+    const updated = stores.reduce((total, storeName) => total + imported[storeName].updated, 0);
+    
+    return {
+        success: true,
+        imported: imported,
+        policy: policy,
+        snapshotId: snapshot.id,
+        message: mode === 'merge' ?
+            `Successfully merged backup: ${added} records added, ${updated} records updated` :
+            'Successfully imported ' + stores.map(storeName => `${imported[storeName].added + imported[storeName].updated} ${storeName}`).join(', ')
+    };
+}
+
+/**
+ * Describe what an import plan will do
+ */
+function formatImportPreview(plan) {
+    const { backup, diff, stores } = plan;
+    const summary = summarizeDiff(diff);
+    const lines = [
+        `File: ${plan.filename}${plan.encrypted ? ' (encrypted)' : ''}`,
+        `Created: ${new Date(backup.timestamp).toLocaleString()}`,
+        `Format: ${plan.upgradedFrom ? `${plan.upgradedFrom}, upgraded to ${backup.version}` : backup.version}`,
+        `Contents: ${describeBackupScope(backup.scope)}`,
+        ''
+    ];
+    
+    stores.forEach(storeName => {
+        const counts = summary[storeName];
+        let line = `${storeName}: ${diff[storeName].records.length} in backup - ` +
+            `${counts.adds} new, ${counts.updates} updated, ${counts.conflicts} conflicts, ${counts.unchanged} unchanged`;
+        if (plan.mode === 'replace' && counts.removed > 0) {
+            line += `, ${counts.removed} local removed`;
+        }
+        if (plan.mode === 'replace' && counts.localOnly > counts.removed) {
+            line += `, ${counts.localOnly - counts.removed} outside the backup kept`;
+        }
+        lines.push(line);
+    });
+    
+    lines.push('');
+    if (plan.mode === 'merge') {
+        lines.push('Local records not in the backup are kept.');
+    } else if (filtersRecords(backup.scope)) {
+        lines.push(`Existing ${stores.join(', ')} in ${describeBackupScope(backup.scope)} will be replaced; other records are kept.`);
+    } else {
+        lines.push(`All existing ${stores.join(', ')} will be replaced.`);
+    }
+    lines.push('A snapshot is taken first, so the import can be undone.');
+    
+    plan.warnings.forEach(warning => lines.push(`Warning: ${warning}`));
+    return lines.join('\n');
+}
+
+/**
+ * Show the import preview and ask how to proceed
+ *
+ * Resolves to false when cancelled, otherwise { policy }.
+ */
+async function confirmImportDialog(plan) {
+    const conflicts = plan.stores.reduce((total, storeName) => total + plan.diff[storeName].conflicts.length, 0);
+    const fields = [];
+    if (plan.mode === 'merge' && conflicts > 0) {
+        fields.push({
+            name: 'policy',
+            label: `${conflicts} records were changed both locally and in the backup. Resolve with:`,
+            type: 'select',
+            value: MERGE_POLICIES.NEWEST_WINS,
+            options: Object.values(MERGE_POLICIES).map(policy => ({ value: policy, label: policy }))
+        });
+    }
+    
+    const result = await showDialog({
+        title: plan.mode === 'merge' ? 'Merge backup' : 'Import backup',
+        message: formatImportPreview(plan),
+        fields: fields,
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: plan.mode === 'merge' ? 'Merge' : 'Replace data', value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    
+    if (result.action !== true) {
+        return false;
+    }
+    return { policy: result.values.policy };
+}
+
+/**
+ * Find the most recent import if it can still be undone
+ */
+async function getUndoableImport() {
+    const result = await queryItems('backups', { direction: 'prev', where: { type: 'import' }, limit: 1 });
+    const last = result.items[0];
+    if (!last || !last.snapshotId || last.undone) {
+        return null;
+    }
+    return last;
+}
+
+/**
+ * Undo the last import by restoring its pre-import snapshot
+ */
+async function undoLastImport() {
+    try {
+        const last = await getUndoableImport();
+        if (!last) {
+            throw new Error('There is no import to undo');
+        }
+        
+        console.log(`Undoing import of ${last.filename}...`);
+        const result = await restoreSnapshot(last.snapshotId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        await updateItem('backups', last.timestamp, { undone: Date.now() });
+        
+        // Reload theme to apply restored settings
+        await reloadImportedTheme();
+        
+        return {
+            success: true,
+            restored: result.restored,
+            message: `Import of ${last.filename} undone`
+        };
+    } catch (error) {
+        console.error('Undo import failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Pick the stores to import: those requested (default all) that the file has
+ */
+function selectImportStores(backup, requested) {
+    const wanted = requested && requested.length > 0 ? requested : BACKUP_STORES;
+    wanted.forEach(storeName => {
+        if (!BACKUP_STORES.includes(storeName)) {
+            throw new Error(`Store "${storeName}" cannot be imported`);
+        }
+    });
+    
+    const stores = BACKUP_STORES.filter(storeName => wanted.includes(storeName) && Array.isArray(backup.data[storeName]));
+    if (stores.length === 0) {
+        throw new Error('The backup contains none of the selected stores');
+    }
+    return stores;
+}
+
+/**
+ * Copy only the given stores out of backup data
+ */
+function pickStores(data, stores) {
+    const picked = {};
+    stores.forEach(storeName => {
+        picked[storeName] = data[storeName];
+    });
+    return picked;
+}
+
+/**
+ * Compare a backup with local data, store by store
+ *
+ * Each incoming record is an add (no local match), unchanged, an update (local
+ * copy untouched since the backup was taken) or a conflict (both sides changed).
+ * records holds the incoming records with ids resolved; localOnly counts local
+ * records the backup does not have, and removals lists the keys of those inside
+ * the backup's scope, which a replace import deletes.
+ */
+async function diffBackup(backup) {
+    const diff = {};
+    const localData = {};
+    for (const storeName of BACKUP_STORES) {
+        localData[storeName] = await getAllItems(storeName);
+    }
+    
+    // Pre-UUID backups carry device-local numeric ids; match those records by
+    // content identity and adopt the local id, or give them a fresh UUID.
+    // Identities are not unique, so each local record is claimed at most once.
+    const localByLegacyIdentity = new Map();
+    ['operations', 'workspaces'].forEach(storeName => {
+        localData[storeName].forEach(record => {
+            const identity = getLegacyIdentity(storeName, record);
+            if (!localByLegacyIdentity.has(identity)) {
+                localByLegacyIdentity.set(identity, []);
+            }
+            localByLegacyIdentity.get(identity).push(record);
+        });
+    });
+    const incomingData = assignStableIds(backup.data, (storeName, record) => {
+        const candidates = localByLegacyIdentity.get(getLegacyIdentity(storeName, record));
+        const local = candidates ? candidates.shift() : null;
+        return local ? local.id : generateId();
+    });
+    
+    for (const storeName of BACKUP_STORES) {
+        const records = incomingData[storeName] || [];
+        const storeDiff = { records: records, adds: [], updates: [], conflicts: [], unchanged: 0, localOnly: 0, removals: [] };
+        const keyPath = STORES[storeName].keyPath;
+        
+        const localByKey = new Map();
+        localData[storeName].forEach(record => {
+            localByKey.set(record[keyPath], record);
+        });
+        
+        const matched = new Set();
+        records.forEach(incoming => {
+            const local = localByKey.get(incoming[keyPath]);
+            if (local) {
+                matched.add(incoming[keyPath]);
+            }
+            
+            if (!local) {
+                storeDiff.adds.push(incoming);
+            } else if (recordsEqual(local, incoming)) {
+                storeDiff.unchanged++;
+            } else if (getRecordModified(local) <= backup.timestamp) {
+                storeDiff.updates.push({ local: local, incoming: incoming });
+            } else {
+                storeDiff.conflicts.push({ local: local, incoming: incoming });
+            }
+        });
+        storeDiff.localOnly = localByKey.size - matched.size;
+        storeDiff.removals = localData[storeName]
+            .filter(record => !matched.has(record[keyPath]) && (!backup.scope || isInScope(backup.scope, storeName, record)))
+            .map(record => record[keyPath]);
+        
+        diff[storeName] = storeDiff;
+    }
+    
+    return diff;
+}
+
+/**
+ * Turn a diff into store changes according to a conflict policy
+ */
+function resolveMerge(diff, policy) {
+    const changes = {};
+    
+    BACKUP_STORES.forEach(storeName => {
+        const storeChanges = { add: [], put: [] };
+        
+        // New records keep their ids so links between them survive
+        storeChanges.add.push(...diff[storeName].adds);
+        
+        // Local copy unchanged since export, take the incoming version
+        diff[storeName].updates.forEach(({ incoming }) => {
+            storeChanges.put.push(incoming);
+        });
+        
+        diff[storeName].conflicts.forEach(({ local, incoming }) => {
+            switch (policy) {
+                case MERGE_POLICIES.KEEP_LOCAL:
+                    break;
+                case MERGE_POLICIES.KEEP_INCOMING:
+                    storeChanges.put.push(incoming);
+                    break;
+                case MERGE_POLICIES.NEWEST_WINS:
+                    if (getRecordModified(incoming) > getRecordModified(local)) {
+                        storeChanges.put.push(incoming);
+                    }
+                    break;
+                case MERGE_POLICIES.KEEP_BOTH:
+                    storeChanges.add.push(copyIncomingRecord(storeName, incoming));
+                    break;
+            }
+        });
+        
+        changes[storeName] = storeChanges;
+    });
+    
+    return changes;
+}
+
+/**
+ * Content identity for records exported before UUIDs
+ */
+function getLegacyIdentity(storeName, record) {
+    if (storeName === 'workspaces') {
+        return `${storeName}:${record.name}:${record.created}`;
+    }
+    return `${storeName}:${record.type}:${record.created}`;
+}
+
+/**
+ * Last modification time of a record
+ */
+function getRecordModified(record) {
+    return record.modified || record.timestamp || record.created || 0;
+}
+
+/**
+ * Copy an incoming record under a new id so it sits beside the local one
+ */
+function copyIncomingRecord(storeName, record) {
+    if (STORES[storeName].generateId) {
+        return { ...record, id: generateId() };
+    }
+    return { ...record, id: `${record.id}-imported-${Date.now()}` };
+}
+
+/**
+ * Compare two records ignoring their primary key and write timestamp
+ */
+function recordsEqual(a, b) {
+    const { id: idA, timestamp: timestampA, ...restA } = a;
+    const { id: idB, timestamp: timestampB, ...restB } = b;
+    return stableStringify(restA) === stableStringify(restB);
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ *
+ * Gives the same output for a value and its JSON round trip, so checksums
+ * taken before export match the parsed file.
+ */
+function stableStringify(value) {
+    if (value && typeof value.toJSON === 'function') {
+        value = value.toJSON();
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => {
+            const json = stableStringify(item);
+            return json === undefined ? 'null' : json;
+        }).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const members = [];
+        Object.keys(value).sort().forEach(key => {
+            const json = stableStringify(value[key]);
+            if (json !== undefined) {
+                members.push(`${JSON.stringify(key)}:${json}`);
+            }
+        });
+        return `{${members.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Count adds, updates and conflicts per store
+ */
+function summarizeDiff(diff) {
+    const summary = {};
+    BACKUP_STORES.forEach(storeName => {
+        summary[storeName] = {
+            adds: diff[storeName].adds.length,
+            updates: diff[storeName].updates.length,
+            conflicts: diff[storeName].conflicts.length,
+            unchanged: diff[storeName].unchanged,
+            localOnly: diff[storeName].localOnly,
+            removed: diff[storeName].removals.length
+        };
+    });
+    return summary;
+}
+
+/**
+ * Re-apply the theme after an import
+ */
+async function reloadImportedTheme() {
+    await loadTheme();
+    applyTheme(theme);
+    if (typeof currentScale !== 'undefined') {
+        setScale(currentScale);
+    }
+    if (typeof updateThemeSelect === 'function') {
+        await updateThemeSelect();
+    }
+}
+
+/**
+ * Read file as text
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        
+        reader.onload = (event) => {
+            resolve(event.target.result);
+        };
+        
+        reader.onerror = (error) => {
+            reject(new Error('Failed to read file: ' + error));
+        };
+        
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Download JSON as file
+ */
+function downloadJSON(jsonString, filename) {
+    // Create blob
+    const blob = new Blob([jsonString], { type: 'application/json' });
+    downloadBlob(blob, filename);
+}
+
+/**
+ * Download a blob as file
+ */
+function downloadBlob(blob, filename) {
+    // Create download link
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    
+    // Trigger download
+    document.body.appendChild(link);
+    link.click();
+    
+    // Cleanup
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse backup file text, reporting truncated or corrupted JSON clearly
+ */
+function parseBackupText(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Backup file is not valid JSON (truncated or corrupted?): ${error.message}`);
+    }
+}
+
+/**
+ * Validate backup file structure, checksums and records
+ *
+ * Resolves to { valid, error, errors, warnings }. errors lists every problem
+ * found as { store, index, key, message }; store and index are null for
+ * problems with the file as a whole. Imports check records only after
+ * upgrading, see prepareImport().
+ */
+async function validateBackup(backup) {
+    const fileCheck = await verifyBackupFile(backup);
+    if (!fileCheck.valid) {
+        return fileCheck;
+    }
+    
+    const recordCheck = validateBackupRecords(backup);
+    return validationResult(recordCheck.errors, fileCheck.warnings.concat(recordCheck.warnings));
+}
+
+/**
+ * Build a validation result from the problems found
+ */
+function validationResult(errors, warnings = []) {
+    return {
+        valid: errors.length === 0,
+        error: errors.length === 0 ? null : formatValidationErrors(errors),
+        errors: errors,
+        warnings: warnings
+    };
+}
+
+/**
+ * Check a backup file as written: structure, format version and checksums
+ *
+ * Resolves to a validation result like validateBackup().
+ */
+async function verifyBackupFile(backup) {
+    const fileError = (message) => validationResult([{ store: null, index: null, key: null, message: message }]);
+    
+    // Check magic string
+    if (!backup || !backup.magic || backup.magic !== BACKUP_MAGIC) {
+        return fileError('Invalid backup file format');
+    }
+    
+    // Check required fields
+    if (!backup.version) {
+        return fileError('Missing version information');
+    }
+    
+    if (!backup.timestamp) {
+        return fileError('Missing timestamp');
+    }
+    
+    if (!backup.data) {
+        return fileError('Missing data section');
+    }
+    
+    // Check data structure
+    if (typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+        return fileError('Invalid data structure');
+    }
+    
+    // Newer formats cannot be read, older ones need an upgrade path
+    const versionError = checkBackupVersion(backup.version);
+    if (versionError) {
+        return fileError(versionError);
+    }
+    
+    // A checksum mismatch means the records cannot be trusted
+    const checksums = await verifyBackupChecksums(backup);
+    return validationResult(checksums.errors, checksums.warnings);
+}
+
+/**
+ * Check every record of a backup against its store definition
+ *
+ * Returns { errors, warnings }.
+ */
+function validateBackupRecords(backup) {
+    const errors = [];
+    const warnings = [];
+    
+    Object.keys(backup.data).forEach(storeName => {
+        if (!BACKUP_STORES.includes(storeName)) {
+            warnings.push(`Unknown store "${storeName}" will be ignored`);
+            return;
+        }
+        errors.push(...validateStoreRecords(storeName, backup.data[storeName]));
+    });
+    
+    return { errors, warnings };
+}
+
+/**
+ * Check the records of one store against its STORES definition
+ */
+function validateStoreRecords(storeName, records) {
+    const errors = [];
+    const storeConfig = STORES[storeName];
+    const keyPath = storeConfig.keyPath;
+    
+    if (!Array.isArray(records)) {
+        return [{ store: storeName, index: null, key: null, message: 'Store data is not a list of records' }];
+    }
+    
+    const seenKeys = new Set();
+    records.forEach((record, index) => {
+        const problem = (message, key = null) => {
+            errors.push({ store: storeName, index: index, key: key, message: message });
+        };
+        
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            problem('Record is not an object');
+            return;
+        }
+        
+        // Primary key: required unless the store generates ids on import
+        const key = record[keyPath];
+        if (key === undefined) {
+            if (!storeConfig.generateId) {
+                problem(`Missing key "${keyPath}"`);
+            }
+        } else if (!isValidKey(key)) {
+            problem(`Key "${keyPath}" is not a valid key: ${JSON.stringify(key)}`);
+        } else if (seenKeys.has(stableStringify(key))) {
+            problem(`Duplicate key "${keyPath}"`, key);
+        } else {
+            seenKeys.add(stableStringify(key));
+        }
+        
+        // Indexed fields may be absent, but otherwise must be indexable
+        storeConfig.indexes.forEach(index => {
+            const value = record[index.keyPath];
+            if (value !== undefined && value !== null && !isValidKey(value)) {
+                problem(`Indexed field "${index.keyPath}" has an invalid value: ${JSON.stringify(value)}`, isValidKey(key) ? key : null);
+            }
+        });
+    });
+    
+    return errors;
+}
+
+/**
+ * Check whether a value can be used as an IndexedDB key
+ */
+function isValidKey(value) {
+    if (typeof value === 'string') return true;
+    if (typeof value === 'number') return !Number.isNaN(value);
+    if (value instanceof Date) return !Number.isNaN(value.getTime());
+    if (Array.isArray(value)) return value.every(isValidKey);
+    return false;
+}
+
+/**
+ * Format validation errors for display, listing the first few
+ */
+function formatValidationErrors(errors, limit = 10) {
+    const lines = errors.slice(0, limit).map(error => {
+        if (error.store === null) {
+            return error.message;
+        }
+        const location = error.index === null ? error.store : `${error.store}[${error.index}]`;
+        const key = error.key === null ? '' : ` (${JSON.stringify(error.key)})`;
+        return `${location}${key}: ${error.message}`;
+    });
+    
+    if (errors.length === 1) {
+        return lines[0];
+    }
+    if (errors.length > limit) {
+        lines.push(`...and ${errors.length - limit} more`);
+    }
+    return `Backup failed validation with ${errors.length} problems:\n` + lines.join('\n');
+}
+
+/**
+ * Hex SHA-256 digest of text given in pieces
  */
-async function importData(file) {
-    try {
-        console.log('Starting data import...');
-        
-        // Read file content
-        const text = await readFileAsText(file);
-        
-        // Parse JSON
-        const backup = JSON.parse(text);
-        
-        // Validate backup file
-        const validation = validateBackup(backup);
-        if (!validation.valid) {
-            throw new Error(validation.error);
-        }
-        
-        // Check version compatibility
-        if (!isCompatibleVersion(backup.version)) {
-            const proceed = confirm(
-                `This backup was created with version ${backup.version}. ` +
-                `Current version is ${BACKUP_VERSION}. ` +
-                `Import may not work correctly. Continue anyway?`
-            );
-            if (!proceed) {
-                throw new Error('Import cancelled by user');
+async function digestText(parts) {
+    const bytes = await new Blob(parts).arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checksums of backup data fed a store and a page of records at a time
+ *
+ * Gives the same digests as hashing the stable JSON of each store and of the
+ * whole data section. Stores must be added in name order, as stableStringify()
+ * writes them. Without SubtleCrypto nothing is kept and finish() gives null.
+ */
+function createChecksumBuilder() {
+    const enabled = hasSubtleCrypto();
+    const stores = {};
+    let storeName = null;
+    let recordCount = 0;
+    
+    return {
+        startStore(name) {
+            if (!enabled) return;
+            storeName = name;
+            stores[name] = ['['];
+            recordCount = 0;
+        },
+        addRecords(records) {
+            if (!enabled || records.length === 0) return;
+            const json = records.map(record => {
+                const text = stableStringify(record);
+                return text === undefined ? 'null' : text;
+            }).join(',');
+            stores[storeName].push(`${recordCount > 0 ? ',' : ''}${json}`);
+            recordCount += records.length;
+        },
+        endStore() {
+            if (!enabled) return;
+            stores[storeName].push(']');
+        },
+        async finish() {
+            if (!enabled) {
+                console.warn('SubtleCrypto not available, exporting without checksums');
+                return null;
             }
-        }
-        
-        // Show import preview
-        const confirmImport = confirm(
-            `Import backup from ${new Date(backup.timestamp).toLocaleString()}?\n\n` +
-            `This backup contains:\n` +
-            `- ${backup.metadata.themesCount} themes\n` +
-            `- ${backup.metadata.operationsCount} operations\n` +
-            `- ${backup.metadata.workspacesCount} workspaces\n\n` +
-            `WARNING: This will replace all existing data!`
-        );
-        
-        if (!confirmImport) {
-            throw new Error('Import cancelled by user');
-        }
-        
-        // Create pre-import backup
-        console.log('Creating pre-import backup...');
-        const preImportBackup = await exportData();
-        console.log('Pre-import backup created:', preImportBackup.filename);
-        
-        // Clear existing data
-        console.log('Clearing existing data...');
-        await clearStore('themes');
-        await clearStore('operations');
-        await clearStore('workspaces');
-        
-        // Import data
-        console.log('Importing data...');
-        let imported = {
-            themes: 0,
-            operations: 0,
-            workspaces: 0
-        };
-        
-        // Import themes
-        if (backup.data.themes && backup.data.themes.length > 0) {
-            for (const theme of backup.data.themes) {
-                await addItem('themes', theme);
-                imported.themes++;
+            
+            let payload = ['{'];
+            const digests = {};
+            for (const [index, name] of Object.keys(stores).entries()) {
+                payload.push(`${index > 0 ? ',' : ''}${JSON.stringify(name)}:`);
+                payload = payload.concat(stores[name]);
+                digests[name] = await digestText(stores[name]);
             }
+            payload.push('}');
+            return { algorithm: 'SHA-256', payload: await digestText(payload), stores: digests };
         }
-        
-        // Import operations
-        if (backup.data.operations && backup.data.operations.length > 0) {
-            for (const operation of backup.data.operations) {
-                // Remove auto-increment ID if present
-                const { id, ...operationData } = operation;
-                await addItem('operations', operationData);
-                imported.operations++;
-            }
+    };
+}
+
+/**
+ * Check whether SubtleCrypto is available (secure contexts only)
+ */
+function hasSubtleCrypto() {
+    return typeof crypto !== 'undefined' && crypto.subtle && typeof crypto.subtle.digest === 'function';
+}
+
+/**
+ * Digest each store and the whole data section
+ */
+async function computeBackupChecksums(data) {
+    const checksums = createChecksumBuilder();
+    Object.keys(data).sort().forEach(storeName => {
+        checksums.startStore(storeName);
+        // Anything but a list fails validation anyway
+        checksums.addRecords(Array.isArray(data[storeName]) ? data[storeName] : [data[storeName]]);
+        checksums.endStore();
+    });
+    return checksums.finish();
+}
+
+/**
+ * Compare a backup's embedded checksums with its data
+ */
+async function verifyBackupChecksums(backup) {
+    const errors = [];
+    const warnings = [];
+    const checksums = backup.checksums;
+    
+    if (!checksums) {
+        warnings.push('Backup has no checksums; it was made by an older version and cannot be verified');
+        return { errors, warnings };
+    }
+    if (checksums.algorithm !== 'SHA-256') {
+        errors.push({ store: null, index: null, key: null, message: `Unsupported checksum algorithm: ${checksums.algorithm}` });
+        return { errors, warnings };
+    }
+    if (!hasSubtleCrypto()) {
+        warnings.push('SubtleCrypto not available, checksums were not verified');
+        return { errors, warnings };
+    }
+    
+    // Per-store digests say which part of the file was damaged
+    const actual = await computeBackupChecksums(backup.data);
+    for (const storeName of Object.keys(checksums.stores || {})) {
+        if (!(storeName in backup.data)) {
+            errors.push({ store: storeName, index: null, key: null, message: 'Store is missing from the backup data' });
+        } else if (actual.stores[storeName] !== checksums.stores[storeName]) {
+            errors.push({ store: storeName, index: null, key: null, message: 'Checksum mismatch, store data was modified or damaged' });
         }
-        
-        // Import workspaces
-        if (backup.data.workspaces && backup.data.workspaces.length > 0) {
-            for (const workspace of backup.data.workspaces) {
-                // Remove auto-increment ID if present
-                const { id, ...workspaceData } = workspace;
-                await addItem('workspaces', workspaceData);
-                imported.workspaces++;
+    }
+    
+    if (actual.payload !== checksums.payload) {
+        errors.push({ store: null, index: null, key: null, message: 'Payload checksum mismatch, backup data was modified or damaged' });
+    }
+    
+    return { errors, warnings };
+}
+
+/**
+ * Check whether parsed file content is an encrypted backup envelope
+ */
+function isEncryptedBackup(content) {
+    return Boolean(content) && content.magic === BACKUP_ENCRYPTED_MAGIC;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ */
+async function deriveBackupKey(passphrase, salt, settings) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), settings.kdf, false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: settings.kdf, salt: salt, iterations: settings.iterations, hash: settings.hash },
+        baseKey,
+        { name: settings.algorithm, length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt backup JSON (text, or gzip bytes) into an envelope
+ *
+ * Only the format and version are readable without the passphrase.
+ */
+async function encryptBackup(content, passphrase) {
+    if (!hasSubtleCrypto()) {
+        throw new Error('Encryption needs Web Crypto, which is only available over HTTPS');
+    }
+    
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveBackupKey(passphrase, salt, BACKUP_ENCRYPTION);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: BACKUP_ENCRYPTION.algorithm, iv: iv },
+        key,
+        typeof content === 'string' ? new TextEncoder().encode(content) : content
+    );
+    
+    return {
+        magic: BACKUP_ENCRYPTED_MAGIC,
+        version: BACKUP_VERSION,
+        encryption: {
+            ...BACKUP_ENCRYPTION,
+            salt: bytesToBase64(salt),
+            iv: bytesToBase64(iv)
+        },
+        ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt an encrypted backup envelope back to JSON text
+ */
+async function decryptBackup(envelope, passphrase) {
+    const settings = envelope.encryption;
+    if (!settings || settings.algorithm !== 'AES-GCM' || settings.kdf !== 'PBKDF2' || !envelope.ciphertext) {
+        throw new Error('Unsupported or damaged encrypted backup');
+    }
+    if (!hasSubtleCrypto()) {
+        throw new Error('Decryption needs Web Crypto, which is only available over HTTPS');
+    }
+    
+    const key = await deriveBackupKey(passphrase, base64ToBytes(settings.salt), settings);
+    let plaintext;
+    try {
+        plaintext = await crypto.subtle.decrypt(
+            { name: settings.algorithm, iv: base64ToBytes(settings.iv) },
+            key,
+            base64ToBytes(envelope.ciphertext)
+        );
+    } catch (error) {
+        // AES-GCM cannot tell a wrong key from altered data
+        throw new Error('Wrong passphrase, or the encrypted backup was modified');
+    }
+    
+    const bytes = new Uint8Array(plaintext);
+    if (isGzip(bytes)) {
+        return decompressToText(new Blob([bytes]).stream());
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Check whether CompressionStream is available
+ */
+function canCompress() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Check bytes for the gzip header
+ */
+function isGzip(bytes) {
+    return bytes.length >= GZIP_HEADER.length && GZIP_HEADER.every((byte, i) => bytes[i] === byte);
+}
+
+/**
+ * Stream a backup of a scope as JSON, reading the database a page at a time
+ *
+ * Gives the same backup as buildBackup(). summary.timestamp and
+ * summary.counts (records per store) are filled in as the stream is read.
+ */
+function createBackupStream(scope = {}, summary = {}) {
+    const encoder = new TextEncoder();
+    const chunks = backupJsonChunks(normalizeBackupScope(scope), summary);
+    
+    return new ReadableStream({
+        async pull(controller) {
+            const next = await chunks.next();
+            if (next.done) {
+                controller.close();
+            } else {
+                controller.enqueue(encoder.encode(next.value));
             }
         }
+    });
+}
+
+/**
+ * Yield a backup's JSON in pieces, one page of records at a time
+ *
+ * Records are checksummed as they are written, so checksums and metadata
+ * come after the data.
+ */
+async function* backupJsonChunks(scope, summary) {
+    const timestamp = Date.now();
+    const checksums = createChecksumBuilder();
+    const counts = {};
+    summary.timestamp = timestamp;
+    summary.counts = counts;
+    
+    const header = JSON.stringify({
+        magic: BACKUP_MAGIC,
+        version: BACKUP_VERSION,
+        timestamp: timestamp,
+        date: new Date(timestamp).toISOString(),
+        scope: scope
+    });
+    yield `${header.slice(0, -1)},"data":{`;
+    
+    // Name order, so the payload checksum matches stableStringify()
+    const storeNames = [...scope.stores].sort();
+    for (const [storeIndex, storeName] of storeNames.entries()) {
+        yield `${storeIndex > 0 ? ',' : ''}\n${JSON.stringify(storeName)}:[`;
+        checksums.startStore(storeName);
+        counts[storeName] = 0;
         
-        // Record import in backups store
-        await addItem('backups', {
-            timestamp: Date.now(),
-            version: backup.version,
-            type: 'import',
-            filename: file.name,
-            imported: imported,
-            originalTimestamp: backup.timestamp
-        });
-        
-        console.log('Import successful:', imported);
-        
-        // Reload theme to apply imported settings
-        await loadTheme();
-        applyTheme(theme);
-        if (typeof currentScale !== 'undefined') {
-            setScale(currentScale);
+        for await (const records of readScopedPages(scope, storeName)) {
+            checksums.addRecords(records);
+            yield `${counts[storeName] > 0 ? ',' : ''}\n${records.map(record => JSON.stringify(record)).join(',\n')}`;
+            counts[storeName] += records.length;
         }
         
-        return { 
-            success: true, 
-            imported: imported,
-            message: `Successfully imported ${imported.themes} themes, ${imported.operations} operations, ${imported.workspaces} workspaces`
-        };
-        
-    } catch (error) {
-        console.error('Import failed:', error);
-        return { success: false, error: error.message };
+        checksums.endStore();
+        yield '\n]';
     }
+    
+    const metadata = {
+        themesCount: counts.themes || 0,
+        operationsCount: counts.operations || 0,
+        workspacesCount: counts.workspaces || 0,
+        exportedBy: 'ODS v9.1',
+        userAgent: navigator.userAgent
+    };
+    yield `},\n"checksums":${JSON.stringify(await checksums.finish())},\n"metadata":${JSON.stringify(metadata)}}\n`;
 }
 
 /**
- * Read file as text
+ * Gzip a byte stream
  */
-function readFileAsText(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = (event) => {
-            resolve(event.target.result);
-        };
-        
-        reader.onerror = (error) => {
-            reject(new Error('Failed to read file: ' + error));
-        };
-        
-        reader.readAsText(file);
-    });
+function compressStream(stream) {
+    return stream.pipeThrough(new CompressionStream('gzip'));
 }
 
 /**
- * Download JSON as file
+ * Gunzip a byte stream into text
  */
-function downloadJSON(jsonString, filename) {
-    // Create blob
-    const blob = new Blob([jsonString], { type: 'application/json' });
+async function decompressToText(stream) {
+    const reader = stream
+        .pipeThrough(new DecompressionStream('gzip'))
+        .pipeThrough(new TextDecoderStream())
+        .getReader();
     
-    // Create download link
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
+    const parts = [];
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+    }
+    return parts.join('');
+}
+
+/**
+ * Parse backup JSON handed over a piece at a time
+ *
+ * Each record in data is parsed on its own as soon as it is complete, so
+ * the file is never held as one string; everything else is small and is
+ * parsed at the end. end() returns the same value as JSON.parse, or throws
+ * a SyntaxError.
+ */
+function createBackupParser() {
+    const records = {};
+    let skeleton = '';      // the JSON with every store's list left empty
+    let recordText = null;  // the record being read
+    let mode = 'skeleton';  // where text goes: 'skeleton', 'record' or 'skip'
+    let start = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let keyStart = -1;
+    let lastKey = null;
+    let inData = false;
+    let storeName = null;
+    let expectRecord = false;
     
-    // Trigger download
-    document.body.appendChild(link);
-    link.click();
+    return {
+        write(chunk) {
+            const flush = (end) => {
+                if (mode === 'skeleton') {
+                    skeleton += chunk.slice(start, end);
+                } else if (mode === 'record') {
+                    recordText += chunk.slice(start, end);
+                }
+                start = end;
+            };
+            
+            start = 0;
+            for (let i = 0; i < chunk.length; i++) {
+                const char = chunk[i];
+                
+                if (inString) {
+                    if (escaped) {
+                        escaped = false;
+                    } else if (char === '\\') {
+                        escaped = true;
+                    } else if (char === '"') {
+                        inString = false;
+                        if (keyStart >= 0) {
+                            // Remember keys, to know when data and its stores begin
+                            flush(i + 1);
+                            const text = skeleton.slice(keyStart);
+                            lastKey = text.length <= 256 ? JSON.parse(text) : null;
+                            keyStart = -1;
+                        }
+                    }
+                    continue;
+                }
+                
+                // Inside a store's list: records, separated by commas
+                if (storeName !== null && depth === 3) {
+                    if (char === ',' || char === ']') {
+                        flush(i);
+                        if (recordText !== null) {
+                            records[storeName].push(JSON.parse(recordText));
+                            recordText = null;
+                        } else if (char === ',' || expectRecord) {
+                            throw new SyntaxError(`Unexpected "${char}" in ${storeName} records`);
+                        }
+                        expectRecord = char === ',';
+                        mode = 'skip';
+                        start = i + 1;
+                        
+                        if (char === ']') {
+                            skeleton += ']';
+                            storeName = null;
+                            depth--;
+                            mode = 'skeleton';
+                        }
+                        continue;
+                    }
+                    if (recordText === null && !JSON_WHITESPACE.includes(char)) {
+                        flush(i);
+                        recordText = '';
+                        mode = 'record';
+                    }
+                }
+                
+                if (char === '"') {
+                    inString = true;
+                    if (mode === 'skeleton' && (depth === 1 || depth === 2)) {
+                        flush(i);
+                        keyStart = skeleton.length;
+                    }
+                } else if (char === '{' || char === '[') {
+                    if (mode === 'skeleton' && char === '{' && depth === 1 && lastKey === 'data') {
+                        inData = true;
+                    } else if (mode === 'skeleton' && char === '[' && depth === 2 && inData && lastKey !== null) {
+                        flush(i + 1);
+                        storeName = lastKey;
+                        records[storeName] = [];
+                        expectRecord = false;
+                        mode = 'skip';
+                    }
+                    depth++;
+                } else if (char === '}' || char === ']') {
+                    depth--;
+                    if (mode === 'skeleton' && depth === 1) {
+                        inData = false;
+                    }
+                }
+            }
+            flush(chunk.length);
+        },
+        end() {
+            const backup = JSON.parse(skeleton);
+            Object.keys(records).forEach(name => {
+                backup.data[name] = records[name];
+            });
+            return backup;
+        }
+    };
+}
+
+/**
+ * Parse a stream of backup JSON bytes
+ */
+async function parseBackupStream(stream) {
+    const parser = createBackupParser();
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
     
-    // Cleanup
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.write(value);
+    }
+    return parser.end();
 }
 
 /**
- * Validate backup file structure
+ * Read and parse a backup file as it streams in, detecting gzip by its header
  */
-function validateBackup(backup) {
-    // Check magic string
-    if (!backup.magic || backup.magic !== BACKUP_MAGIC) {
-        return { valid: false, error: 'Invalid backup file format' };
+async function readBackupFile(file) {
+    const header = new Uint8Array(await file.slice(0, GZIP_HEADER.length).arrayBuffer());
+    const compressed = isGzip(header);
+    if (compressed && !canCompress()) {
+        throw new Error('This browser cannot read compressed backups');
     }
     
-    // Check required fields
-    if (!backup.version) {
-        return { valid: false, error: 'Missing version information' };
+    const stream = compressed ? file.stream().pipeThrough(new DecompressionStream('gzip')) : file.stream();
+    try {
+        return await parseBackupStream(stream);
+    } catch (error) {
+        if (error.name === 'SyntaxError') {
+            throw new Error(`Backup file is not valid JSON (truncated or corrupted?): ${error.message}`);
+        }
+        if (compressed) {
+            throw new Error(`Compressed backup is truncated or corrupted: ${error.message}`);
+        }
+        throw error;
     }
-    
-    if (!backup.timestamp) {
-        return { valid: false, error: 'Missing timestamp' };
+}
+
+/**
+ * Encode bytes as base64
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked to stay under the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
     }
-    
-    if (!backup.data) {
-        return { valid: false, error: 'Missing data section' };
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Compare two dotted version strings numerically
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
     }
+    return 0;
+}
+
+/**
+ * List the upgrades that bring a backup version to BACKUP_VERSION
+ *
+ * Returns null when there is no path.
+ */
+function getUpgradePath(version) {
+    const path = [];
+    let current = String(version);
     
-    // Check data structure
-    if (typeof backup.data !== 'object') {
-        return { valid: false, error: 'Invalid data structure' };
+    while (compareVersions(current, BACKUP_VERSION) < 0) {
+        const step = BACKUP_UPGRADES.find(upgrade => upgrade.from === current);
+        if (!step) {
+            return null;
+        }
+        path.push(step);
+        current = step.to;
     }
     
-    return { valid: true };
+    return compareVersions(current, BACKUP_VERSION) === 0 ? path : null;
+}
+
+/**
+ * Check that a backup version can be imported; returns an error message or null
+ */
+function checkBackupVersion(version) {
+    if (compareVersions(version, BACKUP_VERSION) > 0) {
+        return `This backup was made by a newer version of ODS (format ${version}, ` +
+            `this version reads up to ${BACKUP_VERSION}). Update ODS to import it.`;
+    }
+    if (!getUpgradePath(version)) {
+        return `Backup format ${version} is too old to import; no upgrade path to ${BACKUP_VERSION}`;
+    }
+    return null;
 }
 
 /**
- * Check version compatibility
+ * Upgrade a parsed backup to the current format, one version at a time
+ *
+ * Resolves to { backup, applied } where applied lists the upgrade steps run.
+ * Checksums are recomputed when anything changed.
  */
-function isCompatibleVersion(version) {
-    if (!version) return false;
+async function upgradeBackup(backup) {
+    const versionError = checkBackupVersion(backup.version);
+    if (versionError) {
+        throw new Error(versionError);
+    }
     
-    // Parse versions
-    const current = BACKUP_VERSION.split('.');
-    const backup = version.split('.');
+    let upgraded = backup;
+    const applied = [];
+    for (const step of getUpgradePath(backup.version)) {
+        console.log(`Upgrading backup ${step.from} -> ${step.to}: ${step.description}`);
+        upgraded = { ...step.upgrade(upgraded), version: step.to };
+        applied.push(`${step.from} -> ${step.to}: ${step.description}`);
+    }
     
-    // Check major version compatibility
-    if (current[0] !== backup[0]) {
-        return false; // Major version mismatch
+    if (applied.length > 0 && upgraded.checksums) {
+        upgraded.checksums = await computeBackupChecksums(upgraded.data);
     }
     
-    // Minor version differences are acceptable
-    return true;
+    return { backup: upgraded, applied: applied };
+}
+
+/**
+ * Register an upgrade from one backup version to the next
+ *
+ * upgrade(backup) returns the backup in the new shape; version is set for it.
+ */
+function registerBackupUpgrade(from, to, description, upgrade) {
+    BACKUP_UPGRADES.push({ from: from, to: to, description: description, upgrade: upgrade });
 }
 
+// Backup format history, oldest first
+registerBackupUpgrade('9.1', '9.2', 'Backfill operation status and record the export scope', backup => {
+    const operations = (backup.data.operations || []).map(operation => {
+        if (operation.status) return operation;
+        const created = operation.created || operation.timestamp || Date.now();
+        return {
+            ...operation,
+            status: 'draft',
+            created: created,
+            history: [{ from: null, to: 'draft', timestamp: created }]
+        };
+    });
+    
+    return {
+        ...backup,
+        scope: backup.scope || normalizeBackupScope({ stores: Object.keys(backup.data).filter(storeName => BACKUP_STORES.includes(storeName)) }),
+        data: backup.data.operations ? { ...backup.data, operations: operations } : backup.data
+    };
+});
+
 /**
  * Get backup history
  */
@@ -293,6 +1697,12 @@ async function getBackupHistory() {
     try {
         const backups = await getAllItems('backups');
         
+        // Local snapshots are listed with exports and imports so they can be restored
+        const snapshots = await listSnapshots();
+        snapshots.forEach(snapshot => {
+            backups.push({ ...snapshot, type: 'snapshot', snapshotId: snapshot.id });
+        });
+        
         // Sort by timestamp descending
         backups.sort((a, b) => b.timestamp - a.timestamp);
         
@@ -318,13 +1728,13 @@ async function clearBackupHistory() {
 }
 
 /**
- * Auto-backup (for future implementation)
+ * Auto-backup: take a local snapshot instead of downloading a file
  */
 async function autoBackup() {
     try {
-        const result = await exportData();
+        const result = await takeSnapshot(SNAPSHOT_REASONS.SCHEDULED);
         if (result.success) {
-            console.log('Auto-backup completed:', result.filename);
+            console.log('Auto-backup completed:', result.id);
         }
         return result;
     } catch (error) {
@@ -333,42 +1743,194 @@ async function autoBackup() {
     }
 }
 
+/**
+ * Ask which stores to export or import; resolves to null when cancelled
+ */
+async function chooseBackupStores(title, message, confirmLabel) {
+    const result = await showDialog({
+        title: title,
+        message: message,
+        fields: BACKUP_STORES.map(storeName => ({ name: storeName, label: storeName, type: 'checkbox', value: true })),
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: confirmLabel, value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    if (result.action !== true) return null;
+    
+    const stores = BACKUP_STORES.filter(storeName => result.values[storeName]);
+    if (stores.length === 0) {
+        await alertDialog(title, 'No stores were selected. Nothing was done.');
+        return null;
+    }
+    return stores;
+}
+
+/**
+ * Import a file from the UI: preview, progress, then offer undo
+ */
+async function runImport(file, options = {}) {
+    let progress = null;
+    
+    const result = await importData(file, {
+        ...options,
+        confirm: async (plan) => {
+            const decision = await confirmImportDialog(plan);
+            if (decision) {
+                progress = showProgress(plan.mode === 'merge' ? 'Merging backup' : 'Importing backup', 'Taking pre-import snapshot...');
+            }
+            return decision;
+        },
+        onProgress: ({ done, total, store }) => {
+            progress.update(done / total, `Writing ${store}: ${done} / ${total} records`);
+        }
+    });
+    
+    if (progress) {
+        progress.close();
+    }
+    
+    if (result.success) {
+        const choice = await showDialog({
+            title: 'Import complete',
+            message: result.message,
+            actions: [
+                { label: 'Undo import', value: 'undo' },
+                { label: 'OK', value: 'ok', primary: true }
+            ],
+            cancelValue: 'ok'
+        });
+        if (choice.action === 'undo') {
+            await runUndoImport(false);
+        }
+    } else if (result.error !== 'Import cancelled by user') {
+        await alertDialog('Import failed', result.error);
+    }
+    
+    await updateUndoImportButton();
+    return result;
+}
+
+/**
+ * Undo the last import from the UI
+ */
+async function runUndoImport(askFirst = true) {
+    const last = await getUndoableImport();
+    if (!last) {
+        await alertDialog('Undo import', 'There is no import to undo.');
+        return;
+    }
+    
+    if (askFirst) {
+        const proceed = await confirmDialog(
+            'Undo import',
+            `Restore the data from before importing ${last.filename} ` +
+            `(${new Date(last.timestamp).toLocaleString()})?\n\nChanges made since then will be lost.`,
+            'Undo import'
+        );
+        if (!proceed) return;
+    }
+    
+    const result = await undoLastImport();
+    await alertDialog(result.success ? 'Import undone' : 'Undo failed', result.success ? result.message : result.error);
+    await updateUndoImportButton();
+}
+
+/**
+ * Show the undo button only while the last import can be undone
+ */
+async function updateUndoImportButton() {
+    const undoBtn = document.getElementById('undo-import-btn');
+    if (!undoBtn) return;
+    
+    const last = await getUndoableImport();
+    undoBtn.classList.toggle('hidden', !last);
+    undoBtn.title = last ? `Undo import of ${last.filename}` : '';
+}
+
 /**
  * Setup export/import UI handlers
  */
 function setupBackupHandlers() {
-    // Export button handler
-    const exportBtn = document.getElementById('export-btn');
-    if (exportBtn) {
+    // Export button handlers
+    const exportButtons = [
+        { id: 'export-btn', options: {} },
+        { id: 'export-compressed-btn', options: { compress: true } }
+    ];
+    exportButtons.forEach(({ id, options }) => {
+        const exportBtn = document.getElementById(id);
+        if (!exportBtn) return;
+        
         exportBtn.addEventListener('click', async () => {
-            const result = await exportData();
+            const stores = await chooseBackupStores('Export', 'Choose the stores to export.', 'Export');
+            if (!stores) return;
+            
+            const result = await exportData({ ...options, scope: { stores: stores } });
             if (result.success) {
                 console.log('Export completed:', result.filename);
-                // Could show success message to user
             } else {
                 console.error('Export failed:', result.error);
-                alert('Export failed: ' + result.error);
+                await alertDialog('Export failed', result.error);
+            }
+        });
+    });
+    
+    // Encrypted export asks for the passphrase twice
+    const exportEncryptedBtn = document.getElementById('export-encrypted-btn');
+    if (exportEncryptedBtn) {
+        exportEncryptedBtn.addEventListener('click', async () => {
+            const stores = await chooseBackupStores('Encrypted export', 'Choose the stores to export.', 'Next');
+            if (!stores) return;
+            
+            const passphraseOptions = { label: 'Passphrase', type: 'password', confirmLabel: 'Next' };
+            const passphrase = await promptDialog('Encrypted export', 'Choose a passphrase for the backup.', passphraseOptions);
+            if (!passphrase) return;
+            const repeated = await promptDialog('Encrypted export', 'Repeat the passphrase.', { ...passphraseOptions, confirmLabel: 'Export' });
+            if (repeated === null) return;
+            if (repeated !== passphrase) {
+                await alertDialog('Encrypted export', 'Passphrases do not match. Nothing was exported.');
+                return;
+            }
+            
+            const result = await exportData({ passphrase: passphrase, scope: { stores: stores } });
+            if (result.success) {
+                console.log('Encrypted export completed:', result.filename);
+            } else {
+                console.error('Encrypted export failed:', result.error);
+                await alertDialog('Export failed', result.error);
             }
         });
     }
     
-    // Import input handler
-    const importInput = document.getElementById('import-input');
-    if (importInput) {
-        importInput.addEventListener('change', async (event) => {
+    // Import and merge input handlers
+    const importInputs = [
+        { id: 'import-input', mode: 'replace' },
+        { id: 'merge-input', mode: 'merge' }
+    ];
+    importInputs.forEach(({ id, mode }) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        
+        input.addEventListener('change', async (event) => {
             const file = event.target.files[0];
-            if (file) {
-                const result = await importData(file);
-                if (result.success) {
-                    alert(result.message + '\n\nPage will reload to apply changes.');
-                    location.reload();
-                } else {
-                    alert('Import failed: ' + result.error);
-                }
-                // Clear input for next use
-                event.target.value = '';
+            // Clear input so the same file can be picked again
+            event.target.value = '';
+            if (!file) return;
+            
+            const title = mode === 'merge' ? 'Merge backup' : 'Import backup';
+            const stores = await chooseBackupStores(title, `Choose the stores to import from ${file.name}.`, 'Next');
+            if (stores) {
+                await runImport(file, { mode: mode, stores: stores });
             }
         });
+    });
+    
+    // Undo button is shown while the last import can be undone
+    const undoBtn = document.getElementById('undo-import-btn');
+    if (undoBtn) {
+        undoBtn.addEventListener('click', () => runUndoImport());
+        updateUndoImportButton();
     }
 }
 
@@ -377,10 +1939,24 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         exportData,
         importData,
+        prepareImport,
+        applyImport,
+        undoLastImport,
+        buildBackup,
+        normalizeBackupScope,
+        describeBackupScope,
+        validateBackup,
+        upgradeBackup,
+        registerBackupUpgrade,
+        encryptBackup,
+        decryptBackup,
+        diffBackup,
+        resolveMerge,
         getBackupHistory,
         clearBackupHistory,
         autoBackup,
         setupBackupHandlers,
-        BACKUP_VERSION
+        BACKUP_VERSION,
+        MERGE_POLICIES
     };
 }
\ No newline at end of file
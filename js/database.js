@@ -3,7 +3,7 @@ console.log('Database module loaded');
 
 // Database configuration
 const DB_NAME = 'ODS_v9';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 
 // Store definitions
 const STORES = {
@@ -18,17 +18,23 @@ const STORES = {
     operations: { 
         name: 'operations',
         keyPath: 'id', 
-        autoIncrement: true,
+        autoIncrement: false,
+        generateId: true,
         indexes: [
             { name: 'type', keyPath: 'type', unique: false },
+            { name: 'status', keyPath: 'status', unique: false },
+            { name: 'workspaceId', keyPath: 'workspaceId', unique: false },
             { name: 'created', keyPath: 'created', unique: false },
-            { name: 'modified', keyPath: 'modified', unique: false }
+            { name: 'modified', keyPath: 'modified', unique: false },
+            { name: 'workspaceId_modified', keyPath: ['workspaceId', 'modified'], unique: false },
+            { name: 'workspaceId_deployAt', keyPath: ['workspaceId', 'deployAt'], unique: false }
         ]
     },
     workspaces: { 
         name: 'workspaces',
         keyPath: 'id', 
-        autoIncrement: true,
+        autoIncrement: false,
+        generateId: true,
         indexes: [
             { name: 'name', keyPath: 'name', unique: false },
             { name: 'created', keyPath: 'created', unique: false }
@@ -41,81 +47,335 @@ const STORES = {
         indexes: [
             { name: 'version', keyPath: 'version', unique: false }
         ]
+    },
+    snapshots: { 
+        name: 'snapshots',
+        keyPath: 'id', 
+        autoIncrement: false,
+        generateId: true,
+        indexes: [
+            { name: 'timestamp', keyPath: 'timestamp', unique: false },
+            { name: 'reason', keyPath: 'reason', unique: false }
+        ]
+    },
+    snapshotData: { 
+        name: 'snapshotData',
+        keyPath: 'id', 
+        autoIncrement: false,
+        indexes: []
     }
 };
 
 // Database instance
 let db = null;
 
+// Pending open, shared by concurrent initDB() calls
+let dbOpening = null;
+
+// Connection status listeners registered with onConnectionStatus()
+const connectionListeners = new Set();
+
+// Change notification types
+const CHANGE_OPS = {
+    ADD: 'add',
+    UPDATE: 'update',
+    DELETE: 'delete',
+    CLEAR: 'clear',
+    BULK: 'bulk'
+};
+
+// Operators accepted in queryItems() where clauses
+const QUERY_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains'];
+
+// Change listeners registered with onDataChange()
+const changeListeners = new Set();
+
+// Cross-tab channel so other open windows hear about writes
+const changeChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${DB_NAME}_changes`) : null;
+
+if (changeChannel) {
+    changeChannel.onmessage = (event) => {
+        notifyChangeListeners({ ...event.data, source: 'remote' });
+    };
+}
+
+/**
+ * Subscribe to data changes
+ *
+ * The listener receives { store, key, op, before, after, source, timestamp }
+ * where op is one of CHANGE_OPS and source is 'local' or 'remote' (another
+ * tab). Bulk changes carry keys and counts instead of before/after.
+ * options.store and options.ops narrow what is delivered. Returns an
+ * unsubscribe function.
+ */
+function onDataChange(listener, options = {}) {
+    const entry = {
+        listener: listener,
+        store: options.store || null,
+        ops: options.ops || null
+    };
+    changeListeners.add(entry);
+    return () => changeListeners.delete(entry);
+}
+
+/**
+ * Publish a committed change to this tab and to other tabs
+ */
+function emitChange(change) {
+    const event = { ...change, source: 'local', timestamp: Date.now() };
+    notifyChangeListeners(event);
+    
+    if (changeChannel) {
+        try {
+            const { source, ...message } = event;
+            changeChannel.postMessage(message);
+        } catch (error) {
+            console.warn('Failed to broadcast change:', error);
+        }
+    }
+}
+
+/**
+ * Deliver a change event to matching listeners
+ */
+function notifyChangeListeners(event) {
+    changeListeners.forEach(entry => {
+        if (entry.store && entry.store !== event.store) return;
+        if (entry.ops && !entry.ops.includes(event.op)) return;
+        try {
+            entry.listener(event);
+        } catch (error) {
+            console.error('Change listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Generate a globally unique record id
+ */
+function generateId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    
+    // RFC 4122 version 4 from random bytes (randomUUID needs a secure context)
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Give workspaces and operations string ids, rewriting operation.workspaceId links
+ *
+ * Records that already have a string id keep it. resolveId(storeName, record)
+ * picks the new id for the rest and defaults to a fresh UUID.
+ */
+function assignStableIds(recordsByStore, resolveId = () => generateId()) {
+    const workspaceIds = new Map();
+    
+    const workspaces = (recordsByStore.workspaces || []).map(workspace => {
+        if (typeof workspace.id === 'string') {
+            return workspace;
+        }
+        const id = resolveId('workspaces', workspace);
+        if (workspace.id !== undefined) {
+            workspaceIds.set(workspace.id, id);
+        }
+        return { ...workspace, id: id };
+    });
+    
+    const operations = (recordsByStore.operations || []).map(operation => {
+        const updated = typeof operation.id === 'string' ?
+            { ...operation } :
+            { ...operation, id: resolveId('operations', operation) };
+        if (workspaceIds.has(operation.workspaceId)) {
+            updated.workspaceId = workspaceIds.get(operation.workspaceId);
+        }
+        return updated;
+    });
+    
+    return { ...recordsByStore, workspaces: workspaces, operations: operations };
+}
+
+/**
+ * Give operations without a workspaceId the default workspace's id
+ *
+ * The default is the oldest workspace, the one openStartWorkspace() falls
+ * back to. A 'Main' workspace is created when there is none to assign.
+ */
+function assignDefaultWorkspace(recordsByStore) {
+    const operations = recordsByStore.operations || [];
+    if (operations.every(operation => operation.workspaceId != null)) {
+        return recordsByStore;
+    }
+    
+    const workspaces = (recordsByStore.workspaces || []).slice();
+    let workspace = workspaces.reduce((oldest, candidate) =>
+        !oldest || (candidate.created || 0) < (oldest.created || 0) ? candidate : oldest, null);
+    if (!workspace) {
+        const now = Date.now();
+        workspace = { id: generateId(), name: 'Main', layout: null, panels: [], themeId: null, created: now, modified: now };
+        workspaces.push(workspace);
+    }
+    
+    return {
+        ...recordsByStore,
+        workspaces: workspaces,
+        operations: operations.map(operation => operation.workspaceId != null ? operation :
+            { ...operation, workspaceId: workspace.id })
+    };
+}
+
 /**
  * Initialize the database
  */
 async function initDB() {
-    return new Promise((resolve, reject) => {
-        console.log('Initializing database...');
-        
-        // Check for IndexedDB support
-        if (!window.indexedDB) {
-            reject(new Error('IndexedDB is not supported in this browser'));
-            return;
+    if (dbOpening) {
+        return dbOpening;
+    }
+    
+    console.log('Initializing database...');
+    
+    // Check for IndexedDB support
+    if (!window.indexedDB) {
+        throw new Error('IndexedDB is not supported in this browser');
+    }
+    
+    dbOpening = openDatabase(DB_NAME, DB_VERSION, {
+        onBlocked: (event) => notifyConnectionStatus({ state: 'blocked', oldVersion: event.oldVersion, newVersion: DB_VERSION })
+    });
+    
+    try {
+        db = await dbOpening;
+    } finally {
+        dbOpening = null;
+    }
+    
+    console.log('Database initialized successfully');
+    
+    // Let other tabs upgrade or delete the database instead of being blocked by us
+    db.onversionchange = handleVersionChange;
+    
+    // Browser closed the connection (storage cleared, disk error); reopen lazily
+    const connection = db;
+    db.onclose = () => {
+        console.warn('Database connection closed unexpectedly');
+        if (db === connection) {
+            db = null;
         }
+        notifyConnectionStatus({ state: 'closed' });
+    };
+    
+    // Log available stores
+    const storeNames = Array.from(db.objectStoreNames);
+    console.log('Available stores:', storeNames);
+    
+    notifyConnectionStatus({ state: 'open', version: db.version });
+    return db;
+}
+
+/**
+ * Close our connection when another tab changes the database version
+ */
+function handleVersionChange(event) {
+    console.log(`Database version change requested (${event.oldVersion} -> ${event.newVersion}), closing connection`);
+    if (db) {
+        db.close();
+        db = null;
+    }
+    
+    if (event.newVersion === null) {
+        // Deleted elsewhere; the next getDB() recreates it
+        notifyConnectionStatus({ state: 'deleted' });
+    } else if (event.newVersion > DB_VERSION) {
+        // A newer ODS build upgraded the schema; this code cannot open it
+        notifyConnectionStatus({ state: 'outdated', newVersion: event.newVersion });
+    } else {
+        notifyConnectionStatus({ state: 'versionchange', newVersion: event.newVersion });
+        initDB().catch(error => console.error('Failed to reopen database:', error));
+    }
+}
+
+/**
+ * Subscribe to connection status changes
+ *
+ * The listener receives { state, ... } where state is 'open', 'blocked',
+ * 'versionchange', 'outdated', 'deleted' or 'closed'. Returns an
+ * unsubscribe function.
+ */
+function onConnectionStatus(listener) {
+    connectionListeners.add(listener);
+    return () => connectionListeners.delete(listener);
+}
+
+/**
+ * Deliver a connection status to listeners
+ */
+function notifyConnectionStatus(status) {
+    connectionListeners.forEach(listener => {
+        try {
+            listener(status);
+        } catch (error) {
+            console.error('Connection listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Open a database, running registered migrations on upgrade
+ *
+ * A blocked open keeps waiting for the other connections to close;
+ * options.onBlocked is told so the user can be asked to close them.
+ */
+function openDatabase(name, version, options = {}) {
+    return new Promise((resolve, reject) => {
+        let migrationError = null;
         
         // Open database
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        const request = indexedDB.open(name, version);
         
         // Handle database upgrade
         request.onupgradeneeded = (event) => {
             console.log('Database upgrade needed');
             const database = event.target.result;
+            const transaction = event.target.transaction;
             const oldVersion = event.oldVersion;
             const newVersion = event.newVersion;
             
             console.log(`Upgrading database from version ${oldVersion} to ${newVersion}`);
             
-            // Create stores if they don't exist
-            Object.values(STORES).forEach(storeConfig => {
-                if (!database.objectStoreNames.contains(storeConfig.name)) {
-                    console.log(`Creating store: ${storeConfig.name}`);
-                    
-                    // Create object store
-                    const store = database.createObjectStore(storeConfig.name, {
-                        keyPath: storeConfig.keyPath,
-                        autoIncrement: storeConfig.autoIncrement
-                    });
-                    
-                    // Create indexes
-                    if (storeConfig.indexes) {
-                        storeConfig.indexes.forEach(index => {
-                            store.createIndex(index.name, index.keyPath, { unique: index.unique });
-                            console.log(`Created index: ${index.name} on ${storeConfig.name}`);
-                        });
-                    }
+            // Migrations share the versionchange transaction, so a failure rolls back everything
+            runMigrations(database, transaction, oldVersion, newVersion).catch(error => {
+                console.error('Migration failed, aborting upgrade:', error);
+                migrationError = error;
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // Transaction already finished
                 }
             });
         };
         
         // Handle success
         request.onsuccess = (event) => {
-            db = event.target.result;
-            console.log('Database initialized successfully');
-            
-            // Log available stores
-            const storeNames = Array.from(db.objectStoreNames);
-            console.log('Available stores:', storeNames);
-            
-            resolve(db);
+            resolve(event.target.result);
         };
         
         // Handle errors
         request.onerror = (event) => {
-            console.error('Database initialization failed:', event.target.error);
-            reject(event.target.error);
+            const error = migrationError || event.target.error;
+            console.error('Database initialization failed:', error);
+            reject(error);
         };
         
         // Handle blocked
-        request.onblocked = () => {
-            console.warn('Database blocked - please close other tabs');
-            reject(new Error('Database blocked by another connection'));
+        request.onblocked = (event) => {
+            console.warn('Database blocked - waiting for other tabs to close their connection');
+            if (options.onBlocked) {
+                options.onBlocked(event);
+            }
         };
     });
 }
@@ -145,6 +405,12 @@ async function addItem(storeName, data) {
                 data.timestamp = Date.now();
             }
             
+            // Generate id for stores keyed by UUID
+            const storeConfig = STORES[storeName];
+            if (storeConfig && storeConfig.generateId && data[storeConfig.keyPath] === undefined) {
+                data[storeConfig.keyPath] = generateId();
+            }
+            
             const request = store.add(data);
             
             request.onsuccess = () => {
@@ -152,6 +418,10 @@ async function addItem(storeName, data) {
                 resolve(request.result);
             };
             
+            transaction.oncomplete = () => {
+                emitChange({ store: storeName, key: request.result, op: CHANGE_OPS.ADD, before: null, after: data });
+            };
+            
             request.onerror = () => {
                 console.error(`Failed to add item to ${storeName}:`, request.error);
                 reject(request.error);
@@ -221,8 +491,286 @@ async function getAllItems(storeName) {
     });
 }
 
+/**
+ * Get all items from store matching an index value
+ */
+async function getItemsByIndex(storeName, indexName, value) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const database = await getDB();
+            const transaction = database.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.index(indexName).getAll(value);
+            
+            request.onsuccess = () => {
+                console.log(`Retrieved ${request.result.length} items from ${storeName} where ${indexName} = ${value}`);
+                resolve(request.result);
+            };
+            
+            request.onerror = () => {
+                console.error(`Failed to get items by index from ${storeName}:`, request.error);
+                reject(request.error);
+            };
+        } catch (error) {
+            console.error('Get items by index error:', error);
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Build an IDBKeyRange from a plain description
+ *
+ * Accepts an IDBKeyRange, { only }, or { lower, upper, lowerOpen, upperOpen }.
+ */
+function buildKeyRange(range) {
+    if (!range || range instanceof IDBKeyRange) {
+        return range || null;
+    }
+    if ('only' in range) {
+        return IDBKeyRange.only(range.only);
+    }
+    
+    const hasLower = range.lower !== undefined;
+    const hasUpper = range.upper !== undefined;
+    if (hasLower && hasUpper) {
+        return IDBKeyRange.bound(range.lower, range.upper, !!range.lowerOpen, !!range.upperOpen);
+    }
+    if (hasLower) {
+        return IDBKeyRange.lowerBound(range.lower, !!range.lowerOpen);
+    }
+    if (hasUpper) {
+        return IDBKeyRange.upperBound(range.upper, !!range.upperOpen);
+    }
+    return null;
+}
+
+/**
+ * Read a dotted field path from a record
+ */
+function getFieldValue(record, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Reject where clauses with unknown operators before a query starts
+ */
+function checkWhere(where) {
+    Object.keys(where).forEach(path => {
+        const condition = where[path];
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return;
+        
+        Object.keys(condition).forEach(operator => {
+            if (!QUERY_OPERATORS.includes(operator)) {
+                throw new Error(`Unknown query operator: ${operator}`);
+            }
+        });
+    });
+}
+
+/**
+ * Test a record against a where clause
+ *
+ * Every field must match. A condition is a value (equality), an array (any
+ * of), or an object of operators: eq, ne, gt, gte, lt, lte, in, contains.
+ */
+function matchesWhere(record, where) {
+    return Object.keys(where).every(path => {
+        const value = getFieldValue(record, path);
+        const condition = where[path];
+        
+        if (Array.isArray(condition)) {
+            return condition.includes(value);
+        }
+        if (!condition || typeof condition !== 'object') {
+            return value === condition;
+        }
+        
+        return Object.keys(condition).every(operator => {
+            const operand = condition[operator];
+            switch (operator) {
+                case 'eq': return value === operand;
+                case 'ne': return value !== operand;
+                case 'gt': return value > operand;
+                case 'gte': return value >= operand;
+                case 'lt': return value < operand;
+                case 'lte': return value <= operand;
+                case 'in': return operand.includes(value);
+                case 'contains':
+                    return typeof value === 'string' ?
+                        value.toLowerCase().includes(String(operand).toLowerCase()) :
+                        Array.isArray(value) && value.includes(operand);
+                default:
+                    throw new Error(`Unknown query operator: ${operator}`);
+            }
+        });
+    });
+}
+
+/**
+ * Query a store with a cursor instead of loading it whole
+ *
+ * options:
+ *   index      - index name to walk (defaults to the primary key)
+ *   range      - IDBKeyRange or { only } / { lower, upper, lowerOpen, upperOpen }
+ *   direction  - 'next' (default) or 'prev'
+ *   where      - field conditions, see matchesWhere()
+ *   filter     - predicate function applied after where
+ *   offset     - matching records to skip
+ *   limit      - maximum records to return
+ *   after      - nextCursor from a previous page, resumes just past it
+ *
+ * Resolves to { items, nextCursor, hasMore }.
+ */
+async function queryItems(storeName, options = {}) {
+    return new Promise(async (resolve, reject) => {
+        let transaction = null;
+        try {
+            if (options.where) {
+                checkWhere(options.where);
+            }
+            
+            const database = await getDB();
+            transaction = database.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const source = options.index ? store.index(options.index) : store;
+            const direction = options.direction || 'next';
+            const limit = options.limit > 0 ? options.limit : Infinity;
+            const after = options.after || null;
+            let toSkip = options.offset || 0;
+            let range = buildKeyRange(options.range);
+            
+            // Resuming on the primary key can be done with the range alone
+            if (after && !options.index) {
+                range = intersectRange(range, after.key, direction);
+            }
+            
+            const items = [];
+            let resumed = !after || !options.index;
+            let lastCursor = null;
+            let hasMore = false;
+            
+            const request = source.openCursor(range, direction);
+            
+            request.onsuccess = () => {
+                try {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        resolve({ items: items, nextCursor: null, hasMore: false });
+                        return;
+                    }
+                    
+                    // Jump straight to the previous page's last entry on an index
+                    if (!resumed) {
+                        resumed = true;
+                        const cmp = indexedDB.cmp(cursor.key, after.key) || indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+                        const before = direction === 'next' ? cmp < 0 : cmp > 0;
+                        if (before) {
+                            cursor.continuePrimaryKey(after.key, after.primaryKey);
+                            return;
+                        }
+                    }
+                    if (after && options.index &&
+                        indexedDB.cmp(cursor.key, after.key) === 0 &&
+                        indexedDB.cmp(cursor.primaryKey, after.primaryKey) === 0) {
+                        cursor.continue();
+                        return;
+                    }
+                    
+                    const record = cursor.value;
+                    const matches = (!options.where || matchesWhere(record, options.where)) &&
+                        (!options.filter || options.filter(record));
+                    
+                    if (matches) {
+                        if (items.length === limit) {
+                            hasMore = true;
+                            const nextCursor = { key: lastCursor.key, primaryKey: lastCursor.primaryKey };
+                            console.log(`Query on ${storeName} returned ${items.length} items (more available)`);
+                            resolve({ items: items, nextCursor: nextCursor, hasMore: hasMore });
+                            return;
+                        }
+                        if (toSkip > 0) {
+                            toSkip--;
+                        } else {
+                            items.push(record);
+                            lastCursor = { key: cursor.key, primaryKey: cursor.primaryKey };
+                        }
+                    }
+                    
+                    cursor.continue();
+                } catch (error) {
+                    // A throwing where clause or filter would otherwise leave the query hanging
+                    console.error(`Failed to query ${storeName}:`, error);
+                    transaction.abort();
+                    reject(error);
+                }
+            };
+            
+            request.onerror = () => {
+                console.error(`Failed to query ${storeName}:`, request.error);
+                reject(request.error);
+            };
+        } catch (error) {
+            console.error('Query items error:', error);
+            if (transaction) {
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // Transaction already finished
+                }
+            }
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Narrow a range so it starts just past a key in the walk direction
+ */
+function intersectRange(range, key, direction) {
+    if (direction === 'next') {
+        const upper = range && range.upper !== undefined ? range.upper : undefined;
+        return upper === undefined ?
+            IDBKeyRange.lowerBound(key, true) :
+            IDBKeyRange.bound(key, upper, true, range.upperOpen);
+    }
+    const lower = range && range.lower !== undefined ? range.lower : undefined;
+    return lower === undefined ?
+        IDBKeyRange.upperBound(key, true) :
+        IDBKeyRange.bound(lower, key, range.lowerOpen, true);
+}
+
+/**
+ * Count items in a store or index range
+ */
+async function countItems(storeName, options = {}) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const database = await getDB();
+            const transaction = database.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const source = options.index ? store.index(options.index) : store;
+            const request = source.count(buildKeyRange(options.range) || undefined);
+            
+            request.onsuccess = () => resolve(request.result);
+            
+            request.onerror = () => {
+                console.error(`Failed to count items in ${storeName}:`, request.error);
+                reject(request.error);
+            };
+        } catch (error) {
+            console.error('Count items error:', error);
+            reject(error);
+        }
+    });
+}
+
 /**
  * Update item in store
+ *
+ * data may also be a function of the stored record (undefined when missing)
+ * that returns the changes. It runs inside the update transaction, so checks
+ * it makes cannot race other writes; throwing aborts the update.
  */
 async function updateItem(storeName, id, data) {
     return new Promise(async (resolve, reject) => {
@@ -235,6 +783,17 @@ async function updateItem(storeName, id, data) {
             const getRequest = store.get(id);
             
             getRequest.onsuccess = () => {
+                let changes = data;
+                if (typeof data === 'function') {
+                    try {
+                        changes = data(getRequest.result);
+                    } catch (error) {
+                        transaction.abort();
+                        reject(error);
+                        return;
+                    }
+                }
+                
                 if (!getRequest.result) {
                     reject(new Error(`Item with id ${id} not found in ${storeName}`));
                     return;
@@ -243,7 +802,7 @@ async function updateItem(storeName, id, data) {
                 // Merge with existing data
                 const updatedData = {
                     ...getRequest.result,
-                    ...data,
+                    ...changes,
                     modified: Date.now()
                 };
                 
@@ -259,6 +818,10 @@ async function updateItem(storeName, id, data) {
                     resolve(updatedData);
                 };
                 
+                transaction.oncomplete = () => {
+                    emitChange({ store: storeName, key: id, op: CHANGE_OPS.UPDATE, before: getRequest.result, after: updatedData });
+                };
+                
                 putRequest.onerror = () => {
                     console.error(`Failed to update item in ${storeName}:`, putRequest.error);
                     reject(putRequest.error);
@@ -285,6 +848,9 @@ async function deleteItem(storeName, id) {
             const database = await getDB();
             const transaction = database.transaction([storeName], 'readwrite');
             const store = transaction.objectStore(storeName);
+            
+            // Read the record first so listeners get what was removed
+            const getRequest = store.get(id);
             const request = store.delete(id);
             
             request.onsuccess = () => {
@@ -292,6 +858,12 @@ async function deleteItem(storeName, id) {
                 resolve(true);
             };
             
+            transaction.oncomplete = () => {
+                if (getRequest.result !== undefined) {
+                    emitChange({ store: storeName, key: id, op: CHANGE_OPS.DELETE, before: getRequest.result, after: null });
+                }
+            };
+            
             request.onerror = () => {
                 console.error(`Failed to delete item from ${storeName}:`, request.error);
                 reject(request.error);
@@ -319,6 +891,10 @@ async function clearStore(storeName) {
                 resolve(true);
             };
             
+            transaction.oncomplete = () => {
+                emitChange({ store: storeName, key: null, op: CHANGE_OPS.CLEAR, before: null, after: null });
+            };
+            
             request.onerror = () => {
                 console.error(`Failed to clear store ${storeName}:`, request.error);
                 reject(request.error);
@@ -330,6 +906,195 @@ async function clearStore(storeName) {
     });
 }
 
+/**
+ * Prepare a record for writing, as addItem does
+ */
+function prepareRecord(storeName, record) {
+    const prepared = { ...record };
+    
+    if (!prepared.timestamp) {
+        prepared.timestamp = Date.now();
+    }
+    
+    const storeConfig = STORES[storeName];
+    if (storeConfig && storeConfig.generateId && prepared[storeConfig.keyPath] === undefined) {
+        prepared[storeConfig.keyPath] = generateId();
+    }
+    
+    return prepared;
+}
+
+/**
+ * Run a batch of writes across one or more stores in a single transaction
+ *
+ * steps is a list of { store, op, records } where op is 'clear', 'add', 'put',
+ * 'delete' or 'update' (records are keys for delete and update). An update step
+ * also has update(record), which returns the changes to merge in, read inside
+ * the transaction as with updateItem(). By default any failure aborts the
+ * whole batch; with options.continueOnError failed records are skipped and
+ * reported instead. options.onProgress({ done, total, store }) is called as
+ * records are written, every options.progressInterval records.
+ *
+ * Resolves to one aggregated result for the batch.
+ */
+async function bulkWrite(steps, options = {}) {
+    return new Promise(async (resolve, reject) => {
+        let transaction = null;
+        try {
+            const database = await getDB();
+            const storeNames = [...new Set(steps.map(step => step.store))];
+            const total = steps.reduce((sum, step) => sum + (step.records ? step.records.length : 0), 0);
+            const progressInterval = options.progressInterval || Math.max(1, Math.floor(total / 100));
+            const startTime = performance.now();
+            
+            const result = {
+                total: total,
+                written: 0,
+                failed: 0,
+                errors: [],
+                keys: {},
+                stores: {}
+            };
+            storeNames.forEach(storeName => {
+                result.keys[storeName] = [];
+                result.stores[storeName] = { cleared: false, added: 0, updated: 0, deleted: 0, failed: 0 };
+            });
+            
+            const reportProgress = (storeName) => {
+                const done = result.written + result.failed;
+                if (options.onProgress && (done % progressInterval === 0 || done === total)) {
+                    options.onProgress({ done: done, total: total, store: storeName });
+                }
+            };
+            
+            transaction = database.transaction(storeNames, 'readwrite');
+            
+            transaction.oncomplete = () => {
+                result.duration = Math.round(performance.now() - startTime);
+                console.log(`Bulk write committed: ${result.written}/${total} records in ${result.duration}ms`, result.stores);
+                resolve(result);
+                
+                // One event per store rather than per record
+                storeNames.forEach(storeName => {
+                    emitChange({
+                        store: storeName,
+                        key: null,
+                        op: CHANGE_OPS.BULK,
+                        keys: result.keys[storeName],
+                        counts: result.stores[storeName]
+                    });
+                });
+            };
+            
+            transaction.onabort = () => {
+                console.error('Bulk write rolled back:', transaction.error);
+                reject(transaction.error || new Error('Bulk write aborted'));
+            };
+            
+            const counters = { add: 'added', put: 'updated', update: 'updated', delete: 'deleted' };
+            
+            steps.forEach(step => {
+                const store = transaction.objectStore(step.store);
+                const storeResult = result.stores[step.store];
+                
+                if (step.op === 'clear') {
+                    store.clear().onsuccess = () => {
+                        storeResult.cleared = true;
+                    };
+                    return;
+                }
+                if (!counters[step.op]) {
+                    throw new Error(`Unknown bulk operation: ${step.op}`);
+                }
+                
+                const recordFailure = (index, error) => {
+                    result.failed++;
+                    storeResult.failed++;
+                    result.errors.push({ store: step.store, op: step.op, index: index, error: error.message });
+                    reportProgress(step.store);
+                };
+                
+                const track = (request, index) => {
+                    request.onsuccess = () => {
+                        result.written++;
+                        storeResult[counters[step.op]]++;
+                        if (step.op !== 'delete') {
+                            result.keys[step.store].push(request.result);
+                        }
+                        reportProgress(step.store);
+                    };
+                    
+                    request.onerror = (event) => {
+                        if (!options.continueOnError) {
+                            // Let the error abort the transaction
+                            return;
+                        }
+                        event.preventDefault();
+                        event.stopPropagation();
+                        recordFailure(index, request.error);
+                    };
+                };
+                
+                step.records.forEach((item, index) => {
+                    if (step.op !== 'update') {
+                        track(step.op === 'delete' ? store.delete(item) : store[step.op](prepareRecord(step.store, item)), index);
+                        return;
+                    }
+                    
+                    const getRequest = store.get(item);
+                    getRequest.onsuccess = () => {
+                        try {
+                            if (!getRequest.result) {
+                                throw new Error(`Item with id ${item} not found in ${step.store}`);
+                            }
+                            const changes = step.update(getRequest.result);
+                            track(store.put({ ...getRequest.result, ...changes, modified: Date.now() }), index);
+                        } catch (error) {
+                            if (options.continueOnError) {
+                                recordFailure(index, error);
+                                return;
+                            }
+                            transaction.abort();
+                            reject(error);
+                        }
+                    };
+                });
+            });
+        } catch (error) {
+            console.error('Bulk write error:', error);
+            if (transaction) {
+                try {
+                    transaction.abort();
+                } catch (abortError) {
+                    // Transaction already finished
+                }
+            }
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Add many records to a store in one transaction
+ */
+async function bulkAdd(storeName, records, options = {}) {
+    return bulkWrite([{ store: storeName, op: 'add', records: records }], options);
+}
+
+/**
+ * Insert or replace many records in a store in one transaction
+ */
+async function bulkPut(storeName, records, options = {}) {
+    return bulkWrite([{ store: storeName, op: 'put', records: records }], options);
+}
+
+/**
+ * Delete many records from a store by key in one transaction
+ */
+async function bulkDelete(storeName, keys, options = {}) {
+    return bulkWrite([{ store: storeName, op: 'delete', records: keys }], options);
+}
+
 /**
  * Delete the entire database
  */
@@ -415,18 +1180,34 @@ async function databaseExists() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         initDB,
+        openDatabase,
+        onDataChange,
+        emitChange,
+        onConnectionStatus,
+        generateId,
+        assignStableIds,
+        assignDefaultWorkspace,
         getDB,
         addItem,
         getItem,
         getAllItems,
+        getItemsByIndex,
+        queryItems,
+        countItems,
+        buildKeyRange,
         updateItem,
         deleteItem,
         clearStore,
+        bulkWrite,
+        bulkAdd,
+        bulkPut,
+        bulkDelete,
         deleteDB,
         getDBSize,
         databaseExists,
         DB_NAME,
         DB_VERSION,
-        STORES
+        STORES,
+        CHANGE_OPS
     };
 }
\ No newline at end of file
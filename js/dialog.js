@@ -0,0 +1,237 @@
+// ODS v9.1 - Dialog Module
+console.log('Dialog module loaded');
+
+// Dialogs wait their turn; only one is shown at a time
+let dialogQueue = Promise.resolve();
+
+/**
+ * Show a terminal-styled modal dialog
+ *
+ * options:
+ *   title    - heading text
+ *   message  - body text (newlines kept)
+ *   fields   - inputs: { name, label, type: 'text' | 'password' | 'select' | 'checkbox', value, options }
+ *   actions  - buttons: { label, value, primary }; Escape picks cancelValue
+ *
+ * Resolves to { action, values } where values holds the field values by name;
+ * checkbox values are booleans.
+ */
+function showDialog(options) {
+    const shown = dialogQueue.then(() => openDialog(options));
+    dialogQueue = shown.catch(() => {});
+    return shown;
+}
+
+/**
+ * Build the dialog and wait for an action
+ */
+function openDialog({ title, message = '', fields = [], actions = [{ label: 'OK', value: true, primary: true }], cancelValue = null }) {
+    return new Promise(resolve => {
+        const previousFocus = document.activeElement;
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'dialog-overlay';
+        
+        const dialog = document.createElement('div');
+        dialog.className = 'dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        overlay.appendChild(dialog);
+        
+        const heading = document.createElement('div');
+        heading.className = 'dialog-title';
+        heading.id = `dialog-title-${Date.now()}`;
+        heading.textContent = title;
+        dialog.setAttribute('aria-labelledby', heading.id);
+        dialog.appendChild(heading);
+        
+        const body = document.createElement('div');
+        body.className = 'dialog-body';
+        body.textContent = message;
+        dialog.appendChild(body);
+        
+        // Fields
+        const inputs = {};
+        fields.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'dialog-field';
+            label.textContent = field.label;
+            
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                field.options.forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.label;
+                    input.appendChild(element);
+                });
+            } else {
+                input = document.createElement('input');
+                input.type = field.type || 'text';
+            }
+            if (field.type === 'checkbox') {
+                input.checked = Boolean(field.value);
+                label.classList.add('dialog-check');
+            } else if (field.value !== undefined) {
+                input.value = field.value;
+            }
+            
+            inputs[field.name] = input;
+            if (field.type === 'checkbox') {
+                label.prepend(input);
+            } else {
+                label.appendChild(input);
+            }
+            dialog.appendChild(label);
+        });
+        
+        const close = (action) => {
+            const values = {};
+            Object.keys(inputs).forEach(name => {
+                values[name] = inputs[name].type === 'checkbox' ? inputs[name].checked : inputs[name].value;
+            });
+            overlay.remove();
+            if (previousFocus && typeof previousFocus.focus === 'function') {
+                previousFocus.focus();
+            }
+            resolve({ action: action, values: values });
+        };
+        
+        // Actions
+        const buttons = document.createElement('div');
+        buttons.className = 'dialog-actions';
+        let primaryButton = null;
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.textContent = action.label;
+            button.addEventListener('click', () => close(action.value));
+            if (action.primary) {
+                button.classList.add('primary');
+                primaryButton = button;
+            }
+            buttons.appendChild(button);
+        });
+        dialog.appendChild(buttons);
+        
+        // Keyboard: Escape cancels, Enter in a field picks the primary action
+        overlay.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close(cancelValue);
+            } else if (event.key === 'Enter' && event.target.tagName === 'INPUT' && primaryButton) {
+                event.preventDefault();
+                primaryButton.click();
+            }
+        });
+        
+        document.body.appendChild(overlay);
+        
+        const firstInput = Object.values(inputs)[0];
+        (firstInput || primaryButton || buttons.firstChild).focus();
+    });
+}
+
+/**
+ * Show a message with an OK button
+ */
+async function alertDialog(title, message) {
+    await showDialog({ title: title, message: message });
+}
+
+/**
+ * Ask a yes/no question
+ */
+async function confirmDialog(title, message, confirmLabel = 'OK') {
+    const result = await showDialog({
+        title: title,
+        message: message,
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: confirmLabel, value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    return result.action === true;
+}
+
+/**
+ * Ask for a line of text; resolves to null when cancelled
+ */
+async function promptDialog(title, message, options = {}) {
+    const result = await showDialog({
+        title: title,
+        message: message,
+        fields: [{ name: 'value', label: options.label || '', type: options.type || 'text', value: options.value || '' }],
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: options.confirmLabel || 'OK', value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    return result.action === true ? result.values.value : null;
+}
+
+/**
+ * Show a progress bar until closed
+ *
+ * Returns { update(fraction, text), close() }.
+ */
+function showProgress(title, message = '') {
+    const overlay = document.createElement('div');
+    overlay.className = 'dialog-overlay';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-busy', 'true');
+    overlay.appendChild(dialog);
+    
+    const heading = document.createElement('div');
+    heading.className = 'dialog-title';
+    heading.textContent = title;
+    dialog.appendChild(heading);
+    
+    const body = document.createElement('div');
+    body.className = 'dialog-body';
+    body.textContent = message;
+    dialog.appendChild(body);
+    
+    const track = document.createElement('div');
+    track.className = 'progress-track';
+    track.setAttribute('role', 'progressbar');
+    track.setAttribute('aria-valuemin', '0');
+    track.setAttribute('aria-valuemax', '100');
+    const bar = document.createElement('div');
+    bar.className = 'progress-bar';
+    track.appendChild(bar);
+    dialog.appendChild(track);
+    
+    document.body.appendChild(overlay);
+    
+    return {
+        update(fraction, text) {
+            const percent = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+            bar.style.width = `${percent}%`;
+            track.setAttribute('aria-valuenow', String(percent));
+            if (text !== undefined) {
+                body.textContent = text;
+            }
+        },
+        close() {
+            overlay.remove();
+        }
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        showDialog,
+        alertDialog,
+        confirmDialog,
+        promptDialog,
+        showProgress
+    };
+}
\ No newline at end of file
@@ -0,0 +1,830 @@
+// ODS v9.1 - Layout Module
+console.log('Layout module loaded');
+
+// Split directions: row places regions side by side, column stacks them
+const LAYOUT_DIRECTIONS = {
+    ROW: 'row',
+    COLUMN: 'column'
+};
+
+// Smallest share of a split a region can be dragged down to
+const MIN_REGION_SIZE = 0.1;
+
+// How far an arrow key moves a focused divider
+const DIVIDER_KEY_STEP = 0.05;
+
+// Split sizes closer than this count as the same
+const LAYOUT_SIZE_TOLERANCE = 1e-6;
+
+// Positions used by the older panels: [{ type, position }] list
+const LEGACY_POSITIONS = ['top', 'left', 'center', 'right', 'bottom'];
+
+// Workspace shown in the layout: { workspaceId, layout, container, mounted }
+let activeLayout = null;
+
+// Panel being dragged onto another to swap places
+let draggedPanelId = null;
+
+/*
+ * A layout is a tree stored on the workspace record as workspace.layout:
+ *   split: { direction: 'row' | 'column', sizes: [0.5, 0.5], children: [...] }
+ *   panel: { id, type }
+ * sizes are shares of the split and add up to 1. An empty workspace has a
+ * null layout.
+ */
+
+/**
+ * Check whether a layout node is a split
+ */
+function isSplitNode(node) {
+    return Boolean(node && Array.isArray(node.children));
+}
+
+/**
+ * New panel node with a stable id (per-panel scales are keyed by it)
+ */
+function createPanelNode(type) {
+    return { id: generateId(), type: type };
+}
+
+/**
+ * Copy a layout so tree edits never touch the one on screen
+ */
+function cloneLayout(layout) {
+    return layout ? JSON.parse(JSON.stringify(layout)) : null;
+}
+
+/**
+ * Tidy a layout tree
+ *
+ * Drops empty splits, collapses single-child splits, merges nested splits
+ * running the same way and rescales sizes to add up to 1. Returns null for
+ * an empty layout.
+ */
+function normalizeLayout(node) {
+    if (!node || typeof node !== 'object') {
+        return null;
+    }
+    if (!isSplitNode(node)) {
+        return typeof node.type === 'string' ? { ...node, id: node.id || generateId() } : null;
+    }
+    
+    const direction = node.direction === LAYOUT_DIRECTIONS.COLUMN ? LAYOUT_DIRECTIONS.COLUMN : LAYOUT_DIRECTIONS.ROW;
+    const children = [];
+    const sizes = [];
+    
+    node.children.forEach((child, index) => {
+        const normalized = normalizeLayout(child);
+        if (!normalized) return;
+        
+        const size = Array.isArray(node.sizes) && node.sizes[index] > 0 ? node.sizes[index] : 1 / node.children.length;
+        if (isSplitNode(normalized) && normalized.direction === direction) {
+            normalized.children.forEach((grandchild, i) => {
+                children.push(grandchild);
+                sizes.push(size * normalized.sizes[i]);
+            });
+        } else {
+            children.push(normalized);
+            sizes.push(size);
+        }
+    });
+    
+    if (children.length === 0) {
+        return null;
+    }
+    if (children.length === 1) {
+        return children[0];
+    }
+    
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    return { direction: direction, sizes: sizes.map(size => size / total), children: children };
+}
+
+/**
+ * Compare two layouts, ignoring key order and rounding in split sizes
+ */
+function sameLayout(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return Math.abs(a - b) < LAYOUT_SIZE_TOLERANCE;
+    }
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return a === b;
+    }
+    
+    const keysA = Object.keys(a).filter(key => a[key] !== undefined);
+    const keysB = Object.keys(b).filter(key => b[key] !== undefined);
+    return keysA.length === keysB.length && keysA.every(key => sameLayout(a[key], b[key]));
+}
+
+/**
+ * Build a layout from the older panels: [{ type, position }] list
+ *
+ * Left, center and right sit side by side with top and bottom above and
+ * below them. Unknown positions count as center.
+ */
+function layoutFromPanels(panels) {
+    const list = Array.isArray(panels) ? panels.filter(panel => panel && typeof panel.type === 'string') : [];
+    const at = (position) => list
+        .filter(panel => (LEGACY_POSITIONS.includes(panel.position) ? panel.position : 'center') === position)
+        .map(panel => ({ id: panel.id || generateId(), type: panel.type }));
+    
+    const middle = [...at('left'), ...at('center'), ...at('right')];
+    const rows = [...at('top')];
+    if (middle.length > 0) {
+        rows.push({ direction: LAYOUT_DIRECTIONS.ROW, children: middle });
+    }
+    rows.push(...at('bottom'));
+    
+    return normalizeLayout({ direction: LAYOUT_DIRECTIONS.COLUMN, children: rows });
+}
+
+/**
+ * Layout of a workspace record, converting the older panels list if needed
+ */
+function getWorkspaceLayout(workspace) {
+    if (workspace.layout !== undefined) {
+        return normalizeLayout(workspace.layout);
+    }
+    return layoutFromPanels(workspace.panels);
+}
+
+/**
+ * Panels of a layout in reading order
+ */
+function listLayoutPanels(layout) {
+    if (!layout) {
+        return [];
+    }
+    return isSplitNode(layout) ? layout.children.flatMap(listLayoutPanels) : [layout];
+}
+
+/**
+ * Replace a panel node throughout a layout copy
+ */
+function mapLayoutPanels(layout, fn) {
+    const visit = (node) => isSplitNode(node) ? { ...node, children: node.children.map(visit) } : fn(node);
+    return layout ? visit(cloneLayout(layout)) : null;
+}
+
+/**
+ * Copy a layout giving every panel a new id
+ */
+function copyLayout(layout) {
+    return mapLayoutPanels(layout, node => ({ ...node, id: generateId() }));
+}
+
+/**
+ * Add a panel to the right of everything else
+ *
+ * Returns { layout, panel }.
+ */
+function addLayoutPanel(layout, type) {
+    const panel = createPanelNode(type);
+    if (!layout) {
+        return { layout: panel, panel: panel };
+    }
+    
+    const count = listLayoutPanels(layout).length;
+    const split = { direction: LAYOUT_DIRECTIONS.ROW, sizes: [count, 1], children: [cloneLayout(layout), panel] };
+    return { layout: normalizeLayout(split), panel: panel };
+}
+
+/**
+ * Split a panel in two, putting a new panel after it
+ *
+ * A row split places the new panel to the right, a column split below.
+ * Returns { layout, panel }.
+ */
+function splitLayoutPanel(layout, panelId, direction, type) {
+    const panel = createPanelNode(type);
+    const next = mapLayoutPanels(layout, node => {
+        return node.id === panelId ? { direction: direction, sizes: [0.5, 0.5], children: [node, panel] } : node;
+    });
+    return { layout: normalizeLayout(next), panel: panel };
+}
+
+/**
+ * Remove a panel; its neighbours take over the space
+ */
+function removeLayoutPanel(layout, panelId) {
+    return normalizeLayout(mapLayoutPanels(layout, node => node.id === panelId ? null : node));
+}
+
+/**
+ * Swap two panels' places
+ */
+function swapLayoutPanels(layout, firstId, secondId) {
+    const panels = listLayoutPanels(layout);
+    const first = panels.find(panel => panel.id === firstId);
+    const second = panels.find(panel => panel.id === secondId);
+    if (!first || !second) {
+        return cloneLayout(layout);
+    }
+    
+    return mapLayoutPanels(layout, node => {
+        if (node.id === firstId) return { ...second };
+        if (node.id === secondId) return { ...first };
+        return node;
+    });
+}
+
+/**
+ * Move the divider after region index by delta (a share of the split)
+ *
+ * Only the two regions either side of the divider change size.
+ */
+function resizeLayoutSplit(split, index, delta) {
+    const pair = split.sizes[index] + split.sizes[index + 1];
+    if (pair < MIN_REGION_SIZE * 2) {
+        return split;
+    }
+    
+    const size = Math.min(Math.max(split.sizes[index] + delta, MIN_REGION_SIZE), pair - MIN_REGION_SIZE);
+    split.sizes[index] = size;
+    split.sizes[index + 1] = pair - size;
+    return split;
+}
+
+/**
+ * Show a workspace's layout
+ *
+ * container defaults to the one in use, else #main-container. Older
+ * workspaces are converted and saved so panel ids stay stable.
+ */
+async function openWorkspace(workspaceId, container = activeLayout ? activeLayout.container : document.getElementById('main-container')) {
+    const workspace = await getItem('workspaces', workspaceId);
+    if (!workspace) {
+        throw new Error(`Workspace ${workspaceId} not found`);
+    }
+    
+    if (activeLayout) {
+        unmountPanels();
+    }
+    activeLayout = {
+        workspaceId: workspaceId,
+        layout: getWorkspaceLayout(workspace),
+        container: container,
+        mounted: new Map()
+    };
+    renderLayout();
+    
+    // Older records are converted on open; write them back only when that changed them
+    if (!sameLayout(activeLayout.layout, workspace.layout)) {
+        await saveLayout();
+    }
+    await applyWorkspaceTheme(workspaceId);
+    if (typeof updateWorkspaceSelect === 'function') {
+        await updateWorkspaceSelect();
+    }
+    
+    console.log(`Workspace opened: ${workspace.name}`);
+    return workspace;
+}
+
+/**
+ * Take the current workspace off screen
+ */
+function closeWorkspace() {
+    if (!activeLayout) return;
+    
+    unmountPanels();
+    activeLayout.container.innerHTML = '';
+    activeLayout = null;
+}
+
+/**
+ * Id of the workspace on screen, or null
+ */
+function getActiveWorkspaceId() {
+    return activeLayout ? activeLayout.workspaceId : null;
+}
+
+/**
+ * Layout on screen, or null
+ */
+function getActiveLayout() {
+    return activeLayout ? activeLayout.layout : null;
+}
+
+/**
+ * Show a new layout for the open workspace and save it
+ */
+async function updateLayout(layout) {
+    activeLayout.layout = layout;
+    renderLayout();
+    await saveLayout();
+    return layout;
+}
+
+/**
+ * Save the open layout to its workspace record
+ *
+ * panels is kept as a flat { id, type } list for readers of the older field.
+ */
+async function saveLayout() {
+    const { workspaceId, layout } = activeLayout;
+    const panels = listLayoutPanels(layout).map(panel => ({ id: panel.id, type: panel.type }));
+    return updateItem('workspaces', workspaceId, { layout: layout, panels: panels });
+}
+
+/**
+ * Save after a divider resize without blocking the pointer or key handler
+ */
+function saveResizedLayout() {
+    saveLayout().catch(error => {
+        console.error('Failed to save layout:', error);
+        alertDialog('Resize panels', `The new panel sizes were not saved: ${error.message}`);
+    });
+}
+
+/**
+ * Rebuild the layout on screen
+ */
+function renderLayout() {
+    const { container, layout } = activeLayout;
+    unmountPanels();
+    container.innerHTML = '';
+    
+    if (!layout) {
+        container.appendChild(buildEmptyLayout());
+        return;
+    }
+    
+    const root = buildLayoutNode(layout);
+    root.classList.add('layout-root');
+    container.appendChild(root);
+    mountPanels();
+    applyComponentScales();
+}
+
+/**
+ * Build the element for a split or panel node
+ */
+function buildLayoutNode(node) {
+    if (!isSplitNode(node)) {
+        return buildPanelElement(node);
+    }
+    
+    const element = document.createElement('div');
+    element.className = `layout-split layout-${node.direction}`;
+    
+    node.children.forEach((child, index) => {
+        if (index > 0) {
+            element.appendChild(buildDivider(node, index - 1, element));
+        }
+        const region = document.createElement('div');
+        region.className = 'layout-region';
+        region.style.flex = `${node.sizes[index]} 1 0`;
+        region.appendChild(buildLayoutNode(child));
+        element.appendChild(region);
+    });
+    
+    return element;
+}
+
+/**
+ * Apply a split's sizes to its regions
+ */
+function updateRegionSizes(element, split) {
+    const regions = Array.from(element.children).filter(child => child.classList.contains('layout-region'));
+    regions.forEach((region, index) => {
+        region.style.flex = `${split.sizes[index]} 1 0`;
+    });
+}
+
+/**
+ * Build a draggable divider between region index and index + 1
+ *
+ * Arrow keys move a focused divider; the layout is saved when a move ends.
+ */
+function buildDivider(split, index, splitElement) {
+    const horizontal = split.direction === LAYOUT_DIRECTIONS.ROW;
+    const divider = document.createElement('div');
+    divider.className = 'layout-divider';
+    divider.setAttribute('role', 'separator');
+    divider.setAttribute('tabindex', '0');
+    divider.setAttribute('aria-orientation', horizontal ? 'vertical' : 'horizontal');
+    divider.setAttribute('aria-valuemin', '0');
+    divider.setAttribute('aria-valuemax', '100');
+    
+    const updateValue = () => {
+        const before = split.sizes.slice(0, index + 1).reduce((sum, size) => sum + size, 0);
+        divider.setAttribute('aria-valuenow', String(Math.round(before * 100)));
+    };
+    updateValue();
+    
+    let drag = null;
+    divider.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        const rect = splitElement.getBoundingClientRect();
+        drag = {
+            start: horizontal ? event.clientX : event.clientY,
+            length: (horizontal ? rect.width : rect.height) || 1,
+            sizes: split.sizes.slice()
+        };
+        if (divider.setPointerCapture) {
+            divider.setPointerCapture(event.pointerId);
+        }
+        divider.classList.add('dragging');
+    });
+    
+    divider.addEventListener('pointermove', (event) => {
+        if (!drag) return;
+        const position = horizontal ? event.clientX : event.clientY;
+        split.sizes = drag.sizes.slice();
+        resizeLayoutSplit(split, index, (position - drag.start) / drag.length);
+        updateRegionSizes(splitElement, split);
+        updateValue();
+    });
+    
+    const endDrag = () => {
+        if (!drag) return;
+        drag = null;
+        divider.classList.remove('dragging');
+        saveResizedLayout();
+    };
+    divider.addEventListener('pointerup', endDrag);
+    divider.addEventListener('pointercancel', endDrag);
+    
+    divider.addEventListener('keydown', (event) => {
+        const keys = horizontal ? { ArrowLeft: -1, ArrowRight: 1 } : { ArrowUp: -1, ArrowDown: 1 };
+        if (!(event.key in keys)) return;
+        
+        event.preventDefault();
+        resizeLayoutSplit(split, index, keys[event.key] * DIVIDER_KEY_STEP);
+        updateRegionSizes(splitElement, split);
+        updateValue();
+        saveResizedLayout();
+    });
+    
+    return divider;
+}
+
+/**
+ * Build a panel frame: header with actions, and a body for the panel type
+ *
+ * Dragging a header onto another panel swaps them; Alt + arrow keys on a
+ * focused header do the same with the previous or next panel.
+ */
+function buildPanelElement(node) {
+    const definition = getPanelType(node.type);
+    const title = definition ? definition.title : node.type;
+    
+    const section = document.createElement('section');
+    section.className = 'panel';
+    section.dataset.panelId = node.id;
+    section.setAttribute('aria-label', title);
+    
+    const header = document.createElement('header');
+    header.className = 'panel-header';
+    header.draggable = true;
+    header.tabIndex = 0;
+    
+    const heading = document.createElement('span');
+    heading.className = 'panel-title';
+    heading.textContent = title;
+    header.appendChild(heading);
+    
+    const actions = document.createElement('span');
+    actions.className = 'panel-actions';
+    [
+        ['|', 'Split right', () => runSplitPanel(node.id, LAYOUT_DIRECTIONS.ROW)],
+        ['-', 'Split down', () => runSplitPanel(node.id, LAYOUT_DIRECTIONS.COLUMN)],
+        ['X', 'Close panel', () => updateLayout(removeLayoutPanel(activeLayout.layout, node.id))]
+    ].forEach(([label, description, onClick]) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = description;
+        button.setAttribute('aria-label', description);
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+    });
+    header.appendChild(actions);
+    section.appendChild(header);
+    
+    const body = document.createElement('div');
+    body.className = 'panel-body';
+    section.appendChild(body);
+    
+    // Rearrange by dragging headers
+    header.addEventListener('dragstart', (event) => {
+        draggedPanelId = node.id;
+        event.dataTransfer.setData('text/plain', node.id);
+        event.dataTransfer.effectAllowed = 'move';
+        section.classList.add('panel-dragging');
+    });
+    header.addEventListener('dragend', () => {
+        draggedPanelId = null;
+        section.classList.remove('panel-dragging');
+    });
+    section.addEventListener('dragover', (event) => {
+        if (!draggedPanelId || draggedPanelId === node.id) return;
+        event.preventDefault();
+        section.classList.add('panel-drop-target');
+    });
+    section.addEventListener('dragleave', () => {
+        section.classList.remove('panel-drop-target');
+    });
+    section.addEventListener('drop', (event) => {
+        event.preventDefault();
+        section.classList.remove('panel-drop-target');
+        const sourceId = draggedPanelId;
+        draggedPanelId = null;
+        if (sourceId && sourceId !== node.id) {
+            updateLayout(swapLayoutPanels(activeLayout.layout, sourceId, node.id));
+        }
+    });
+    
+    // Keyboard rearranging
+    header.addEventListener('keydown', (event) => {
+        if (!event.altKey || event.target !== header) return;
+        const offsets = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 };
+        if (!(event.key in offsets)) return;
+        
+        event.preventDefault();
+        movePanel(node.id, offsets[event.key]);
+    });
+    
+    return section;
+}
+
+/**
+ * Shown when a workspace has no panels
+ */
+function buildEmptyLayout() {
+    const empty = document.createElement('div');
+    empty.className = 'layout-empty';
+    
+    const message = document.createElement('p');
+    message.textContent = 'This workspace has no panels.';
+    empty.appendChild(message);
+    
+    const button = document.createElement('button');
+    button.textContent = 'Add Panel';
+    button.addEventListener('click', () => runAddPanel());
+    empty.appendChild(button);
+    
+    return empty;
+}
+
+/**
+ * Mount each panel's type into its body
+ */
+function mountPanels() {
+    listLayoutPanels(activeLayout.layout).forEach(panel => {
+        const body = activeLayout.container.querySelector(`[data-panel-id="${panel.id}"] .panel-body`);
+        const definition = getPanelType(panel.type);
+        if (!definition) {
+            body.classList.add('panel-missing');
+            body.textContent = `Unknown panel type "${panel.type}"`;
+            return;
+        }
+        
+        const { context, dispose } = createPanelContext(panel.type, definition, panel, activeLayout.workspaceId, {
+            saveSettings: (settings) => savePanelSettings(panel.id, settings)
+        });
+        const entry = { element: body, definition: definition, context: context, dispose: dispose, renderTimer: null, unmounted: false };
+        activeLayout.mounted.set(panel.id, entry);
+        mountPanel(entry);
+    });
+}
+
+/**
+ * Run a panel's mount and first render, then redraw it when its stores change
+ */
+async function mountPanel(entry) {
+    const { element, definition, context } = entry;
+    try {
+        if (typeof definition.mount === 'function') {
+            await definition.mount(element, context);
+        }
+        // Skip the first render if the panel was removed while mounting
+        if (typeof definition.render !== 'function' || entry.unmounted) return;
+        
+        await definition.render(element, context);
+        if (definition.stores.length > 0) {
+            // Bulk writes arrive as bursts of events; redraw once per burst
+            context.data.onChange(() => {
+                clearTimeout(entry.renderTimer);
+                entry.renderTimer = setTimeout(() => renderPanel(entry), 0);
+            });
+        }
+    } catch (error) {
+        showPanelError(entry, 'Panel failed to load', error);
+    }
+}
+
+/**
+ * Redraw a mounted panel
+ */
+async function renderPanel(entry) {
+    if (entry.unmounted) return;
+    try {
+        await entry.definition.render(entry.element, entry.context);
+    } catch (error) {
+        showPanelError(entry, 'Panel failed to render', error);
+    }
+}
+
+/**
+ * Show a hook failure in place of the panel body
+ */
+function showPanelError(entry, message, error) {
+    console.error(`${message} (${entry.context.panel.type}):`, error);
+    entry.element.classList.add('panel-missing');
+    entry.element.textContent = `${message}: ${error.message}`;
+}
+
+/**
+ * Let every mounted panel clean up
+ */
+function unmountPanels() {
+    activeLayout.mounted.forEach(entry => {
+        const { element, definition, context } = entry;
+        entry.unmounted = true;
+        clearTimeout(entry.renderTimer);
+        entry.dispose();
+        if (typeof definition.unmount !== 'function') return;
+        try {
+            Promise.resolve(definition.unmount(element, context)).catch(error => {
+                console.error(`Panel ${context.panel.type} failed to unmount:`, error);
+            });
+        } catch (error) {
+            console.error(`Panel ${context.panel.type} failed to unmount:`, error);
+        }
+    });
+    activeLayout.mounted.clear();
+}
+
+/**
+ * Keep a panel's settings on its layout node
+ */
+async function savePanelSettings(panelId, settings) {
+    const panel = listLayoutPanels(activeLayout.layout).find(node => node.id === panelId);
+    if (!panel) return;
+    
+    panel.settings = settings;
+    await saveLayout();
+}
+
+/**
+ * Mount panels whose type was registered after the layout was drawn
+ */
+function handlePanelTypeRegistered(type) {
+    if (!activeLayout) return;
+    if (listLayoutPanels(activeLayout.layout).some(panel => panel.type === type)) {
+        renderLayout();
+    }
+}
+
+/**
+ * Swap a panel with the previous (-1) or next (1) panel in reading order
+ */
+async function movePanel(panelId, offset) {
+    const panels = listLayoutPanels(activeLayout.layout);
+    const index = panels.findIndex(panel => panel.id === panelId);
+    const neighbour = panels[index + offset];
+    if (index === -1 || !neighbour) return;
+    
+    await updateLayout(swapLayoutPanels(activeLayout.layout, panelId, neighbour.id));
+    const header = activeLayout.container.querySelector(`[data-panel-id="${panelId}"] .panel-header`);
+    if (header) {
+        header.focus();
+    }
+}
+
+/**
+ * Ask which registered panel type to use; resolves to null when cancelled
+ */
+async function choosePanelType(title, value) {
+    const types = listPanelTypes();
+    if (types.length === 0) {
+        await alertDialog(title, 'No panel types are registered.');
+        return null;
+    }
+    
+    const result = await showDialog({
+        title: title,
+        fields: [{
+            name: 'type',
+            label: 'Panel type',
+            type: 'select',
+            value: value && getPanelType(value) ? value : types[0].type,
+            options: types.map(panelType => ({ value: panelType.type, label: panelType.title }))
+        }],
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: 'Add', value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    return result.action === true ? result.values.type : null;
+}
+
+/**
+ * Ask for a panel type and add it to the open workspace
+ */
+async function runAddPanel() {
+    if (!activeLayout) return;
+    
+    const type = await choosePanelType('Add panel');
+    if (type) {
+        await updateLayout(addLayoutPanel(activeLayout.layout, type).layout);
+    }
+}
+
+/**
+ * Ask for a panel type and split a panel with it
+ */
+async function runSplitPanel(panelId, direction) {
+    const current = listLayoutPanels(activeLayout.layout).find(panel => panel.id === panelId);
+    const type = await choosePanelType(direction === LAYOUT_DIRECTIONS.ROW ? 'Split right' : 'Split down', current && current.type);
+    if (type) {
+        await updateLayout(splitLayoutPanel(activeLayout.layout, panelId, direction, type).layout);
+    }
+}
+
+/**
+ * Re-read the open workspace after it changed outside the layout
+ *
+ * Covers other tabs, imports and restores. Closes the layout if the
+ * workspace is gone.
+ */
+async function refreshActiveWorkspace() {
+    if (!activeLayout) return;
+    
+    const workspace = await getItem('workspaces', activeLayout.workspaceId);
+    if (!workspace) {
+        console.log('Open workspace was removed');
+        const container = activeLayout.container;
+        closeWorkspace();
+        await openStartWorkspace(container);
+        return;
+    }
+    
+    // The layout's own saves come back here too; only rebuild for real changes
+    const layout = getWorkspaceLayout(workspace);
+    if (!sameLayout(layout, activeLayout.layout)) {
+        activeLayout.layout = layout;
+        renderLayout();
+    }
+}
+
+/**
+ * Show the starting workspace and follow changes to it
+ */
+async function initLayout() {
+    const container = document.getElementById('main-container');
+    if (!container) {
+        console.warn('Layout container not found in DOM');
+        return;
+    }
+    
+    await openStartWorkspace(container);
+    
+    onDataChange((change) => {
+        if (!activeLayout) return;
+        if (change.key !== null && change.key !== activeLayout.workspaceId) return;
+        refreshActiveWorkspace();
+    }, { store: 'workspaces' });
+    
+    console.log('Layout initialized');
+}
+
+/**
+ * Setup layout UI handlers
+ */
+function setupLayoutHandlers() {
+    const addPanelBtn = document.getElementById('add-panel-btn');
+    if (addPanelBtn) {
+        addPanelBtn.addEventListener('click', () => runAddPanel());
+    }
+}
+
+// Plugin scripts may register their panel types after the layout is drawn
+onPanelTypeRegistered(handlePanelTypeRegistered);
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        initLayout,
+        openWorkspace,
+        closeWorkspace,
+        getActiveWorkspaceId,
+        getActiveLayout,
+        updateLayout,
+        normalizeLayout,
+        layoutFromPanels,
+        getWorkspaceLayout,
+        listLayoutPanels,
+        copyLayout,
+        addLayoutPanel,
+        splitLayoutPanel,
+        removeLayoutPanel,
+        swapLayoutPanels,
+        resizeLayoutSplit,
+        savePanelSettings,
+        setupLayoutHandlers,
+        LAYOUT_DIRECTIONS
+    };
+}
\ No newline at end of file
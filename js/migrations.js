@@ -0,0 +1,469 @@
+// ODS v9.1 - Schema Migrations
+console.log('Migrations module loaded');
+
+// Registered migrations, kept sorted by version
+const MIGRATIONS = [];
+
+// Report from the most recent upgrade in this session
+let lastMigrationReport = null;
+
+/**
+ * Migration step builders
+ *
+ * Steps are idempotent: creating something that exists or deleting something
+ * missing is skipped, so a fresh install can run every migration from zero.
+ */
+const migrationSteps = {
+    createStore(store) {
+        return { type: 'createStore', store: store };
+    },
+    deleteStore(store) {
+        return { type: 'deleteStore', store: store };
+    },
+    createIndex(store, index) {
+        return { type: 'createIndex', store: store, index: index };
+    },
+    deleteIndex(store, index) {
+        return { type: 'deleteIndex', store: store, index: index };
+    },
+    // fn(record) returns the new record, null to delete it, or undefined to leave it
+    transform(store, fn) {
+        return { type: 'transform', store: store, fn: fn };
+    },
+    // Recreate stores from STORES (new key options, fresh indexes) with records
+    // rewritten together; fn(recordsByStore) returns the new recordsByStore
+    rebuildStores(stores, fn) {
+        return { type: 'rebuildStores', store: stores.join(','), stores: stores, fn: fn };
+    }
+};
+
+/**
+ * Register a migration for a database version
+ */
+function registerMigration(version, description, steps) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid migration version: ${version}`);
+    }
+    if (version > DB_VERSION) {
+        throw new Error(`Migration ${version} is newer than DB_VERSION ${DB_VERSION}`);
+    }
+    if (MIGRATIONS.some(migration => migration.version === version)) {
+        throw new Error(`Migration ${version} is already registered`);
+    }
+    
+    MIGRATIONS.push({ version: version, description: description, steps: steps });
+    MIGRATIONS.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get migrations needed to go from one version to another
+ */
+function getPendingMigrations(oldVersion, newVersion) {
+    return MIGRATIONS.filter(migration => migration.version > oldVersion && migration.version <= newVersion);
+}
+
+/**
+ * Look up an index definition from STORES
+ */
+function getIndexConfig(storeName, indexName) {
+    const storeConfig = STORES[storeName];
+    const index = storeConfig && storeConfig.indexes && storeConfig.indexes.find(i => i.name === indexName);
+    if (!index) {
+        throw new Error(`Index ${indexName} is not defined for store ${storeName}`);
+    }
+    return index;
+}
+
+/**
+ * Wrap an IDB request in a promise
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run pending migrations inside a versionchange transaction
+ */
+async function runMigrations(database, transaction, oldVersion, newVersion) {
+    const report = {
+        fromVersion: oldVersion,
+        toVersion: newVersion,
+        dryRun: false,
+        migrations: []
+    };
+    
+    for (const migration of getPendingMigrations(oldVersion, newVersion)) {
+        console.log(`Running migration ${migration.version}: ${migration.description}`);
+        const entry = { version: migration.version, description: migration.description, steps: [] };
+        
+        for (const step of migration.steps) {
+            entry.steps.push(await applyMigrationStep(database, transaction, step));
+        }
+        
+        report.migrations.push(entry);
+    }
+    
+    lastMigrationReport = report;
+    console.log('Migrations complete:', report);
+    return report;
+}
+
+/**
+ * Apply one migration step to the live database
+ */
+async function applyMigrationStep(database, transaction, step) {
+    const result = { type: step.type, store: step.store };
+    
+    switch (step.type) {
+        case 'createStore': {
+            if (database.objectStoreNames.contains(step.store)) {
+                result.action = 'skipped';
+                break;
+            }
+            const storeConfig = STORES[step.store];
+            if (!storeConfig) {
+                throw new Error(`Store ${step.store} is not defined in STORES`);
+            }
+            const store = database.createObjectStore(storeConfig.name, {
+                keyPath: storeConfig.keyPath,
+                autoIncrement: storeConfig.autoIncrement
+            });
+            (storeConfig.indexes || []).forEach(index => {
+                store.createIndex(index.name, index.keyPath, { unique: index.unique });
+            });
+            console.log(`Created store: ${step.store}`);
+            result.action = 'created';
+            break;
+        }
+        
+        case 'deleteStore': {
+            if (!database.objectStoreNames.contains(step.store)) {
+                result.action = 'skipped';
+                break;
+            }
+            database.deleteObjectStore(step.store);
+            console.log(`Deleted store: ${step.store}`);
+            result.action = 'deleted';
+            break;
+        }
+        
+        case 'createIndex': {
+            result.index = step.index;
+            const store = transaction.objectStore(step.store);
+            if (store.indexNames.contains(step.index)) {
+                result.action = 'skipped';
+                break;
+            }
+            const index = getIndexConfig(step.store, step.index);
+            store.createIndex(index.name, index.keyPath, { unique: index.unique });
+            console.log(`Created index: ${step.index} on ${step.store}`);
+            result.action = 'created';
+            break;
+        }
+        
+        case 'deleteIndex': {
+            result.index = step.index;
+            const store = transaction.objectStore(step.store);
+            if (!store.indexNames.contains(step.index)) {
+                result.action = 'skipped';
+                break;
+            }
+            store.deleteIndex(step.index);
+            console.log(`Deleted index: ${step.index} on ${step.store}`);
+            result.action = 'deleted';
+            break;
+        }
+        
+        case 'transform': {
+            const counts = await transformRecords(transaction.objectStore(step.store), step.fn);
+            Object.assign(result, counts);
+            result.action = 'transformed';
+            console.log(`Transformed ${step.store}:`, counts);
+            break;
+        }
+        
+        case 'rebuildStores': {
+            const records = {};
+            for (const storeName of step.stores) {
+                records[storeName] = await requestToPromise(transaction.objectStore(storeName).getAll());
+            }
+            
+            const rebuilt = step.fn(records);
+            result.scanned = 0;
+            result.written = 0;
+            
+            step.stores.forEach(storeName => {
+                const storeConfig = STORES[storeName];
+                result.scanned += records[storeName].length;
+                
+                database.deleteObjectStore(storeName);
+                const store = database.createObjectStore(storeConfig.name, {
+                    keyPath: storeConfig.keyPath,
+                    autoIncrement: storeConfig.autoIncrement
+                });
+                (storeConfig.indexes || []).forEach(index => {
+                    store.createIndex(index.name, index.keyPath, { unique: index.unique });
+                });
+                
+                (rebuilt[storeName] || []).forEach(record => {
+                    store.add(record);
+                    result.written++;
+                });
+            });
+            
+            console.log(`Rebuilt stores ${step.store}:`, result);
+            result.action = 'rebuilt';
+            break;
+        }
+        
+        default:
+            throw new Error(`Unknown migration step: ${step.type}`);
+    }
+    
+    return result;
+}
+
+/**
+ * Walk a store with a cursor, rewriting or deleting records
+ */
+function transformRecords(store, fn) {
+    return new Promise((resolve, reject) => {
+        const counts = { scanned: 0, updated: 0, deleted: 0 };
+        const request = store.openCursor();
+        
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(counts);
+                return;
+            }
+            
+            counts.scanned++;
+            try {
+                const next = fn(cursor.value);
+                if (next === null) {
+                    cursor.delete();
+                    counts.deleted++;
+                } else if (next !== undefined) {
+                    cursor.update(next);
+                    counts.updated++;
+                }
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            cursor.continue();
+        };
+        
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Report what an upgrade to DB_VERSION would do, without writing anything
+ */
+async function dryRunMigrations(name = DB_NAME, targetVersion = DB_VERSION) {
+    // Open at whatever version exists so no upgrade is triggered
+    const database = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(name);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onupgradeneeded = (event) => {
+            // Database did not exist; abort so nothing is created
+            event.target.transaction.abort();
+        };
+    }).catch(() => null);
+    
+    const fromVersion = database ? database.version : 0;
+    const report = {
+        fromVersion: fromVersion,
+        toVersion: targetVersion,
+        dryRun: true,
+        migrations: []
+    };
+    
+    // Simulated schema and records, updated as steps are applied
+    const schema = {};
+    const records = {};
+    if (database) {
+        Array.from(database.objectStoreNames).forEach(storeName => {
+            const store = database.transaction([storeName], 'readonly').objectStore(storeName);
+            schema[storeName] = new Set(Array.from(store.indexNames));
+        });
+    }
+    
+    const loadRecords = async (storeName) => {
+        if (!records[storeName]) {
+            if (database && database.objectStoreNames.contains(storeName)) {
+                const store = database.transaction([storeName], 'readonly').objectStore(storeName);
+                records[storeName] = await requestToPromise(store.getAll());
+            } else {
+                records[storeName] = [];
+            }
+        }
+        return records[storeName];
+    };
+    
+    try {
+        for (const migration of getPendingMigrations(fromVersion, targetVersion)) {
+            const entry = { version: migration.version, description: migration.description, steps: [] };
+            
+            for (const step of migration.steps) {
+                const result = { type: step.type, store: step.store };
+                
+                switch (step.type) {
+                    case 'createStore':
+                        result.action = schema[step.store] ? 'skipped' : 'created';
+                        if (!schema[step.store]) {
+                            schema[step.store] = new Set((STORES[step.store].indexes || []).map(i => i.name));
+                            records[step.store] = [];
+                        }
+                        break;
+                    case 'deleteStore':
+                        result.action = schema[step.store] ? 'deleted' : 'skipped';
+                        delete schema[step.store];
+                        records[step.store] = [];
+                        break;
+                    case 'createIndex':
+                        result.index = step.index;
+                        result.action = schema[step.store].has(step.index) ? 'skipped' : 'created';
+                        schema[step.store].add(step.index);
+                        break;
+                    case 'deleteIndex':
+                        result.index = step.index;
+                        result.action = schema[step.store].has(step.index) ? 'deleted' : 'skipped';
+                        schema[step.store].delete(step.index);
+                        break;
+                    case 'transform': {
+                        const current = await loadRecords(step.store);
+                        const counts = { scanned: current.length, updated: 0, deleted: 0 };
+                        records[step.store] = current.reduce((kept, record) => {
+                            const next = step.fn(structuredClone(record));
+                            if (next === null) {
+                                counts.deleted++;
+                            } else if (next !== undefined) {
+                                counts.updated++;
+                                kept.push(next);
+                            } else {
+                                kept.push(record);
+                            }
+                            return kept;
+                        }, []);
+                        Object.assign(result, counts);
+                        result.action = 'transformed';
+                        break;
+                    }
+                    case 'rebuildStores': {
+                        const current = {};
+                        for (const storeName of step.stores) {
+                            current[storeName] = structuredClone(await loadRecords(storeName));
+                        }
+                        const rebuilt = step.fn(current);
+                        result.scanned = step.stores.reduce((total, storeName) => total + current[storeName].length, 0);
+                        result.written = 0;
+                        step.stores.forEach(storeName => {
+                            schema[storeName] = new Set((STORES[storeName].indexes || []).map(i => i.name));
+                            records[storeName] = rebuilt[storeName] || [];
+                            result.written += records[storeName].length;
+                        });
+                        result.action = 'rebuilt';
+                        break;
+                    }
+                    default:
+                        throw new Error(`Unknown migration step: ${step.type}`);
+                }
+                
+                entry.steps.push(result);
+            }
+            
+            report.migrations.push(entry);
+        }
+    } finally {
+        if (database) {
+            database.close();
+        }
+    }
+    
+    console.log('Migration dry run:', report);
+    return report;
+}
+
+/**
+ * Get the report from the last upgrade run in this session
+ */
+function getLastMigrationReport() {
+    return lastMigrationReport;
+}
+
+// ---------------------------------------------------------------------------
+// Migration registry
+// ---------------------------------------------------------------------------
+
+registerMigration(1, 'Create initial stores', [
+    migrationSteps.createStore('themes'),
+    migrationSteps.createStore('operations'),
+    migrationSteps.createStore('workspaces'),
+    migrationSteps.createStore('backups')
+]);
+
+registerMigration(2, 'Add operation lifecycle status', [
+    migrationSteps.createIndex('operations', 'status'),
+    migrationSteps.transform('operations', operation => {
+        if (operation.status) return undefined;
+        const created = operation.created || operation.timestamp || Date.now();
+        return {
+            ...operation,
+            status: 'draft',
+            created: created,
+            history: [{ from: null, to: 'draft', timestamp: created }]
+        };
+    })
+]);
+
+registerMigration(3, 'Replace auto-increment keys with UUIDs', [
+    migrationSteps.rebuildStores(['workspaces', 'operations'], records => assignStableIds(records))
+]);
+
+registerMigration(4, 'Add local snapshots store', [
+    migrationSteps.createStore('snapshots')
+]);
+
+registerMigration(5, 'Index operations by workspace and time', [
+    // Compound indexes skip records missing a key part, so every operation needs modified
+    migrationSteps.transform('operations', operation => {
+        if (operation.modified) return undefined;
+        return { ...operation, modified: operation.created || operation.timestamp || Date.now() };
+    }),
+    migrationSteps.createIndex('operations', 'workspaceId_modified'),
+    migrationSteps.createIndex('operations', 'workspaceId_deployAt')
+]);
+
+registerMigration(6, 'Keep snapshot data apart from snapshot summaries', [
+    migrationSteps.createStore('snapshotData'),
+    migrationSteps.rebuildStores(['snapshots', 'snapshotData'], records => ({
+        snapshots: records.snapshots.map(({ data, ...summary }) => summary),
+        snapshotData: records.snapshotData.concat(records.snapshots
+            .filter(snapshot => snapshot.data)
+            .map(snapshot => ({ id: snapshot.id, data: snapshot.data })))
+    }))
+]);
+
+registerMigration(7, 'Give operations without a workspace the default workspace', [
+    migrationSteps.rebuildStores(['workspaces', 'operations'], records => assignDefaultWorkspace(records))
+]);
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        registerMigration,
+        runMigrations,
+        dryRunMigrations,
+        getPendingMigrations,
+        getLastMigrationReport,
+        migrationSteps,
+        MIGRATIONS
+    };
+}
\ No newline at end of file
@@ -0,0 +1,215 @@
+// ODS v9.1 - Operations Module
+console.log('Operations module loaded');
+
+// Lifecycle states
+const OPERATION_STATUS = {
+    DRAFT: 'draft',
+    STAGED: 'staged',
+    DEPLOYED: 'deployed',
+    ARCHIVED: 'archived'
+};
+
+// Legal transitions from each state
+const OPERATION_TRANSITIONS = {
+    draft: ['staged', 'archived'],
+    staged: ['draft', 'deployed', 'archived'],
+    deployed: ['archived'],
+    archived: []
+};
+
+/**
+ * Base error for operation lifecycle failures
+ */
+class OperationError extends Error {
+    constructor(message, operationId) {
+        super(message);
+        this.name = 'OperationError';
+        this.operationId = operationId;
+    }
+}
+
+/**
+ * Raised when an operation does not exist
+ */
+class OperationNotFoundError extends OperationError {
+    constructor(operationId) {
+        super(`Operation ${operationId} not found`, operationId);
+        this.name = 'OperationNotFoundError';
+    }
+}
+
+/**
+ * Raised when a transition is not allowed from the current state
+ */
+class InvalidTransitionError extends OperationError {
+    constructor(operationId, from, to) {
+        super(`Cannot move operation ${operationId} from ${from} to ${to}`, operationId);
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Check whether a transition is allowed
+ */
+function canTransition(from, to) {
+    const allowed = OPERATION_TRANSITIONS[from];
+    return Array.isArray(allowed) && allowed.includes(to);
+}
+
+/**
+ * Get the lifecycle state of an operation record
+ */
+function getOperationStatus(operation) {
+    // Records created before the lifecycle existed are drafts
+    return operation.status || OPERATION_STATUS.DRAFT;
+}
+
+/**
+ * Get the time an operation entered a state (latest entry wins)
+ */
+function getTransitionTime(operation, status) {
+    const history = operation.history || [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].to === status) {
+            return history[i].timestamp;
+        }
+    }
+    return status === OPERATION_STATUS.DRAFT ? operation.created : null;
+}
+
+/**
+ * Create a new draft operation
+ */
+async function createOperation(data) {
+    const now = Date.now();
+    const operation = {
+        ...data,
+        status: OPERATION_STATUS.DRAFT,
+        created: data.created || now,
+        modified: now,
+        history: [
+            { from: null, to: OPERATION_STATUS.DRAFT, timestamp: now }
+        ]
+    };
+    
+    const id = await addItem('operations', operation);
+    console.log(`Operation ${id} created as draft`);
+    return { ...operation, id: id };
+}
+
+/**
+ * Move an operation to a new lifecycle state
+ */
+async function transitionOperation(id, to) {
+    if (!OPERATION_TRANSITIONS[to]) {
+        throw new OperationError(`Unknown operation status: ${to}`, id);
+    }
+    
+    // Check and write in one transaction so concurrent transitions cannot both pass
+    let from;
+    const updated = await updateItem('operations', id, operation => {
+        if (!operation) {
+            throw new OperationNotFoundError(id);
+        }
+        
+        from = getOperationStatus(operation);
+        if (!canTransition(from, to)) {
+            throw new InvalidTransitionError(id, from, to);
+        }
+        
+        const history = (operation.history || []).concat({
+            from: from,
+            to: to,
+            timestamp: Date.now()
+        });
+        return { status: to, history: history };
+    });
+    console.log(`Operation ${id} moved from ${from} to ${to}`);
+    return updated;
+}
+
+/**
+ * Stage a draft operation
+ */
+async function stageOperation(id) {
+    return transitionOperation(id, OPERATION_STATUS.STAGED);
+}
+
+/**
+ * Return a staged operation to draft
+ */
+async function unstageOperation(id) {
+    return transitionOperation(id, OPERATION_STATUS.DRAFT);
+}
+
+/**
+ * Deploy a staged operation
+ */
+async function deployOperation(id) {
+    return transitionOperation(id, OPERATION_STATUS.DEPLOYED);
+}
+
+/**
+ * Archive an operation
+ */
+async function archiveOperation(id) {
+    return transitionOperation(id, OPERATION_STATUS.ARCHIVED);
+}
+
+/**
+ * Plan when an operation should deploy, or clear the plan with null
+ *
+ * The plan is kept as deployAt. Deployed and archived operations keep the
+ * time they actually deployed and cannot be rescheduled.
+ */
+async function scheduleDeployment(id, time) {
+    if (time !== null && !Number.isFinite(time)) {
+        throw new OperationError('Deployment time must be a timestamp', id);
+    }
+    
+    // Check the status in the same transaction as the write, as transitions do
+    const updated = await updateItem('operations', id, operation => {
+        if (!operation) {
+            throw new OperationNotFoundError(id);
+        }
+        
+        const status = getOperationStatus(operation);
+        if (status === OPERATION_STATUS.DEPLOYED || status === OPERATION_STATUS.ARCHIVED) {
+            throw new OperationError(`Cannot reschedule operation ${id}, it is already ${status}`, id);
+        }
+        return { deployAt: time };
+    });
+    console.log(`Operation ${id} deployment ${time === null ? 'unscheduled' : `planned for ${new Date(time).toISOString()}`}`);
+    return updated;
+}
+
+/**
+ * Get all operations in a lifecycle state
+ */
+async function getOperationsByStatus(status) {
+    return getItemsByIndex('operations', 'status', status);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createOperation,
+        transitionOperation,
+        stageOperation,
+        unstageOperation,
+        deployOperation,
+        archiveOperation,
+        scheduleDeployment,
+        getOperationsByStatus,
+        getOperationStatus,
+        getTransitionTime,
+        canTransition,
+        OperationError,
+        OperationNotFoundError,
+        InvalidTransitionError,
+        OPERATION_STATUS,
+        OPERATION_TRANSITIONS
+    };
+}
\ No newline at end of file
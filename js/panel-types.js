@@ -0,0 +1,176 @@
+// ODS v9.1 - Panel Types Module
+console.log('Panel Types module loaded');
+
+// Button labels for moving an operation into each state
+const TRANSITION_LABELS = {
+    draft: 'Unstage',
+    staged: 'Stage',
+    deployed: 'Deploy',
+    archived: 'Archive'
+};
+
+// Change events kept by the log panel
+const LOG_PANEL_LIMIT = 200;
+
+/**
+ * Name to show for an operation
+ */
+function getOperationLabel(operation) {
+    const name = operation.data && operation.data.name;
+    return name ? String(name) : `${operation.type || 'operation'} ${String(operation.id).slice(0, 8)}`;
+}
+
+/**
+ * Format a timestamp for panel rows
+ */
+function formatPanelTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '-';
+}
+
+/**
+ * Build a list row: a label, a meta line and optional buttons
+ */
+function buildPanelRow(label, meta, actions = []) {
+    const row = document.createElement('li');
+    row.className = 'panel-row';
+    
+    const text = document.createElement('div');
+    text.className = 'panel-row-text';
+    const name = document.createElement('div');
+    name.textContent = label;
+    const details = document.createElement('div');
+    details.className = 'panel-row-meta';
+    details.textContent = meta;
+    text.append(name, details);
+    row.appendChild(text);
+    
+    if (actions.length > 0) {
+        const buttons = document.createElement('div');
+        buttons.className = 'panel-actions';
+        actions.forEach(([title, onClick]) => {
+            const button = document.createElement('button');
+            button.textContent = title;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        });
+        row.appendChild(buttons);
+    }
+    return row;
+}
+
+/**
+ * Replace a list's rows, or show a line of text when there are none
+ */
+function fillPanelList(list, rows, emptyText) {
+    list.innerHTML = '';
+    if (rows.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'panel-row-meta';
+        empty.textContent = emptyText;
+        list.appendChild(empty);
+        return;
+    }
+    rows.forEach(row => list.appendChild(row));
+}
+
+/**
+ * Move an operation, telling the user when the move is refused
+ */
+async function runPanelTransition(operation, to) {
+    try {
+        await transitionOperation(operation.id, to);
+    } catch (error) {
+        await alertDialog('Cannot move operation', error.message);
+    }
+}
+
+// Live operations of the workspace, with lifecycle buttons
+registerPanelType('operations', {
+    title: 'Operations',
+    stores: ['operations'],
+    mount(element, context) {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        const newBtn = document.createElement('button');
+        newBtn.textContent = 'New';
+        newBtn.addEventListener('click', async () => {
+            const name = await promptDialog('New operation', '', { label: 'Name', confirmLabel: 'Create' });
+            if (name && name.trim()) {
+                await createOperation({ type: 'tracker', workspaceId: context.workspaceId, data: { name: name.trim() } });
+            }
+        });
+        toolbar.appendChild(newBtn);
+        
+        const list = document.createElement('ul');
+        list.className = 'panel-list';
+        element.append(toolbar, list);
+    },
+    async render(element, context) {
+        const operations = (await context.data.workspaceItems('operations'))
+            .filter(operation => getOperationStatus(operation) !== OPERATION_STATUS.ARCHIVED)
+            .sort((a, b) => (a.created || 0) - (b.created || 0));
+        
+        const rows = operations.map(operation => {
+            const status = getOperationStatus(operation);
+            const actions = OPERATION_TRANSITIONS[status].map(to => {
+                return [TRANSITION_LABELS[to], () => runPanelTransition(operation, to)];
+            });
+            return buildPanelRow(getOperationLabel(operation), `${status} - created ${formatPanelTime(operation.created)}`, actions);
+        });
+        fillPanelList(element.querySelector('.panel-list'), rows, 'No live operations.');
+    }
+});
+
+// Archived operations of the workspace, latest first
+registerPanelType('archive', {
+    title: 'Archive',
+    stores: ['operations'],
+    async render(element, context) {
+        const operations = (await context.data.workspaceItems('operations'))
+            .filter(operation => getOperationStatus(operation) === OPERATION_STATUS.ARCHIVED)
+            .map(operation => ({ operation: operation, archived: getTransitionTime(operation, OPERATION_STATUS.ARCHIVED) || operation.modified }))
+            .sort((a, b) => (b.archived || 0) - (a.archived || 0));
+        
+        let list = element.querySelector('.panel-list');
+        if (!list) {
+            list = document.createElement('ul');
+            list.className = 'panel-list';
+            element.appendChild(list);
+        }
+        const rows = operations.map(({ operation, archived }) => {
+            return buildPanelRow(getOperationLabel(operation), `archived ${formatPanelTime(archived)}`);
+        });
+        fillPanelList(list, rows, 'Nothing archived.');
+    }
+});
+
+// Feed of changes to operations and workspaces, from this and other tabs
+registerPanelType('log', {
+    title: 'Log',
+    stores: ['operations', 'workspaces'],
+    mount(element, context) {
+        const list = document.createElement('ul');
+        list.className = 'panel-list panel-log';
+        element.appendChild(list);
+        
+        context.data.onChange((change) => {
+            const line = document.createElement('li');
+            const target = change.key !== null ? String(change.key).slice(0, 8) : change.keys ? `${change.keys.length} records` : 'all records';
+            line.textContent = `${new Date(change.timestamp).toLocaleTimeString()} ${change.source} ${change.op} ${change.store} ${target}`;
+            list.insertBefore(line, list.firstChild);
+            while (list.children.length > LOG_PANEL_LIMIT) {
+                list.removeChild(list.lastChild);
+            }
+        });
+    }
+});
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getOperationLabel,
+        formatPanelTime,
+        buildPanelRow,
+        fillPanelList
+    };
+}
\ No newline at end of file
@@ -0,0 +1,188 @@
+// ODS v9.1 - Panels Module
+console.log('Panels module loaded');
+
+// Registered panel types by name
+const panelTypes = new Map();
+
+// Called with (type, definition) whenever a panel type is registered
+const panelTypeListeners = new Set();
+
+/**
+ * Raised when a panel type is defined wrongly or reads data it did not declare
+ */
+class PanelError extends Error {
+    constructor(message, panelType) {
+        super(message);
+        this.name = 'PanelError';
+        this.panelType = panelType;
+    }
+}
+
+/**
+ * Register a panel type
+ *
+ * definition:
+ *   title   - name shown in the panel header
+ *   stores  - stores the panel reads; only these are reachable through context.data
+ *   mount   - mount(element, context) runs once when the panel is placed
+ *   render  - render(element, context) draws the panel body; runs after
+ *             mount and again whenever a declared store changes
+ *   unmount - unmount(element, context) cleans up before the panel is removed
+ *
+ * A type needs mount or render, and hooks may return promises. context is
+ * described at createPanelContext(). Types registered after the layout is
+ * on screen are mounted straight away, so plugin scripts can load in any
+ * order.
+ */
+function registerPanelType(type, definition) {
+    if (typeof type !== 'string' || !type) {
+        throw new PanelError('Panel type name is required', type);
+    }
+    if (!definition || (typeof definition.mount !== 'function' && typeof definition.render !== 'function')) {
+        throw new PanelError(`Panel type "${type}" needs a mount or render function`, type);
+    }
+    
+    const stores = definition.stores || [];
+    if (!Array.isArray(stores)) {
+        throw new PanelError(`Panel type "${type}" stores must be a list of store names`, type);
+    }
+    stores.forEach(store => {
+        if (!STORES[store]) {
+            throw new PanelError(`Panel type "${type}" reads unknown store "${store}"`, type);
+        }
+    });
+    
+    if (panelTypes.has(type)) {
+        console.warn(`Panel type "${type}" registered again, replacing it`);
+    }
+    
+    const registered = { title: type, ...definition, stores: stores.slice() };
+    panelTypes.set(type, registered);
+    console.log(`Panel type registered: ${type}`);
+    
+    panelTypeListeners.forEach(listener => {
+        try {
+            listener(type, registered);
+        } catch (error) {
+            console.error('Panel type listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Look up a registered panel type, or null
+ */
+function getPanelType(type) {
+    return panelTypes.get(type) || null;
+}
+
+/**
+ * List registered panel types as { type, title }
+ */
+function listPanelTypes() {
+    return Array.from(panelTypes.entries()).map(([type, definition]) => ({ type: type, title: definition.title }));
+}
+
+/**
+ * Listen for panel types being registered; returns an unsubscribe function
+ */
+function onPanelTypeRegistered(listener) {
+    panelTypeListeners.add(listener);
+    return () => panelTypeListeners.delete(listener);
+}
+
+/**
+ * Build the context handed to a panel's hooks
+ *
+ * context is { panel, workspaceId, data, settings, saveSettings }.
+ * context.data only reaches the stores the type declared:
+ *   get(store, id), getAll(store), query(store, options), count(store, options)
+ *   workspaceItems(store, options) - records of this workspace, for stores
+ *                                    with a workspaceId index
+ *   onChange(listener)             - changes to the declared stores
+ *
+ * saveSettings(values) merges per-panel settings and hands them to
+ * options.saveSettings to keep. Returns { context, dispose }; dispose()
+ * drops the panel's change listeners.
+ */
+function createPanelContext(type, definition, panel, workspaceId, options = {}) {
+    const unsubscribers = [];
+    let disposed = false;
+    const allowed = (store) => {
+        if (!definition.stores.includes(store)) {
+            throw new PanelError(`Panel type "${type}" did not declare store "${store}"`, type);
+        }
+    };
+    
+    const data = Object.freeze({
+        async get(store, id) {
+            allowed(store);
+            return getItem(store, id);
+        },
+        async getAll(store) {
+            allowed(store);
+            return getAllItems(store);
+        },
+        async query(store, queryOptions = {}) {
+            allowed(store);
+            return queryItems(store, queryOptions);
+        },
+        async count(store, queryOptions = {}) {
+            allowed(store);
+            return countItems(store, queryOptions);
+        },
+        async workspaceItems(store, queryOptions = {}) {
+            allowed(store);
+            if (!STORES[store].indexes.some(index => index.name === 'workspaceId')) {
+                throw new PanelError(`Store "${store}" is not kept per workspace`, type);
+            }
+            const result = await queryItems(store, { ...queryOptions, index: 'workspaceId', range: { only: workspaceId } });
+            return result.items;
+        },
+        onChange(listener) {
+            // A hook still running when the panel is removed must not leave a listener behind
+            if (disposed) {
+                return () => {};
+            }
+            const unsubscribe = onDataChange((change) => {
+                if (definition.stores.includes(change.store)) {
+                    listener(change);
+                }
+            });
+            unsubscribers.push(unsubscribe);
+            return unsubscribe;
+        }
+    });
+    
+    const context = {
+        panel: panel,
+        workspaceId: workspaceId,
+        data: data,
+        settings: { ...(panel.settings || {}) },
+        saveSettings: async (values) => {
+            context.settings = { ...context.settings, ...values };
+            if (options.saveSettings) {
+                await options.saveSettings(context.settings);
+            }
+            return context.settings;
+        }
+    };
+    
+    const dispose = () => {
+        disposed = true;
+        unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+    };
+    return { context: context, dispose: dispose };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        registerPanelType,
+        getPanelType,
+        listPanelTypes,
+        onPanelTypeRegistered,
+        createPanelContext,
+        PanelError
+    };
+}
\ No newline at end of file
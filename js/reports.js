@@ -0,0 +1,332 @@
+// ODS v9.1 - Reports Module
+console.log('Reports module loaded');
+
+// Default CSV columns; a column is a field path or { key, label }
+const DEFAULT_REPORT_COLUMNS = [
+    { key: 'data.name', label: 'Name' },
+    { key: 'type', label: 'Type' },
+    { key: 'status', label: 'Status' },
+    { key: 'workspace', label: 'Workspace' },
+    { key: 'created', label: 'Created' },
+    { key: 'staged', label: 'Staged' },
+    { key: 'deployed', label: 'Deployed' },
+    { key: 'archived', label: 'Archived' },
+    { key: 'modified', label: 'Modified' },
+    { key: 'id', label: 'ID' }
+];
+
+// Columns holding timestamps, written as ISO dates
+const REPORT_TIME_COLUMNS = ['created', 'modified', 'staged', 'deployed', 'archived'];
+
+// Ways to group the Markdown report
+const REPORT_GROUPS = {
+    STATUS: 'status',
+    WORKSPACE: 'workspace'
+};
+
+/**
+ * Turn a column spec into { key, label }
+ */
+function normalizeReportColumn(column) {
+    if (typeof column === 'string') {
+        return { key: column, label: column };
+    }
+    return { key: column.key, label: column.label || column.key };
+}
+
+/**
+ * Parse a comma separated column list, e.g. "data.name, status, created"
+ */
+function parseReportColumns(text) {
+    return text.split(',').map(key => key.trim()).filter(Boolean).map(key => {
+        const known = DEFAULT_REPORT_COLUMNS.find(column => column.key === key);
+        return known || normalizeReportColumn(key);
+    });
+}
+
+/**
+ * List the column keys available for a set of operations, including data fields
+ */
+function getReportColumnKeys(operations) {
+    const keys = DEFAULT_REPORT_COLUMNS.map(column => column.key);
+    operations.forEach(operation => {
+        Object.keys(operation.data && typeof operation.data === 'object' ? operation.data : {}).forEach(field => {
+            const key = `data.${field}`;
+            if (!keys.includes(key)) {
+                keys.push(key);
+            }
+        });
+    });
+    return keys;
+}
+
+/**
+ * Read a column's value from an operation
+ *
+ * context.workspaces maps workspace ids to records.
+ */
+function getReportValue(operation, key, context = {}) {
+    switch (key) {
+        case 'status':
+            return getOperationStatus(operation);
+        case 'workspace': {
+            const workspace = context.workspaces && context.workspaces.get(operation.workspaceId);
+            return workspace ? workspace.name : operation.workspaceId || '';
+        }
+        case 'staged':
+        case 'deployed':
+        case 'archived':
+            return getTransitionTime(operation, key);
+        default:
+            return getFieldValue(operation, key);
+    }
+}
+
+/**
+ * Format a column value as text
+ */
+function formatReportValue(value, key) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    if (REPORT_TIME_COLUMNS.includes(key) && typeof value === 'number') {
+        return new Date(value).toISOString();
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Quote a CSV cell
+ *
+ * Cells that spreadsheets would run as formulas are prefixed with a quote.
+ * Signed numbers such as -5 are left as they are.
+ */
+function escapeCSVCell(text) {
+    let cell = text;
+    const isNumber = cell.trim() === cell && Number.isFinite(Number(cell));
+    if (/^[=+\-@\t\r]/.test(cell) && !isNumber) {
+        cell = `'${cell}`;
+    }
+    if (/[",\r\n]/.test(cell)) {
+        cell = `"${cell.replace(/"/g, '""')}"`;
+    }
+    return cell;
+}
+
+/**
+ * Build CSV text for operations, one row per operation
+ */
+function operationsToCSV(operations, columns = DEFAULT_REPORT_COLUMNS, context = {}) {
+    const specs = columns.map(normalizeReportColumn);
+    const rows = [specs.map(column => escapeCSVCell(column.label)).join(',')];
+    
+    operations.forEach(operation => {
+        rows.push(specs.map(column => {
+            return escapeCSVCell(formatReportValue(getReportValue(operation, column.key, context), column.key));
+        }).join(','));
+    });
+    
+    // CRLF line endings as RFC 4180 asks, for spreadsheet apps
+    return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdownCell(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Build a Markdown report, one table per status or workspace
+ */
+function operationsToMarkdown(operations, options = {}) {
+    const groupBy = options.groupBy || REPORT_GROUPS.STATUS;
+    const specs = (options.columns || DEFAULT_REPORT_COLUMNS).map(normalizeReportColumn)
+        .filter(column => column.key !== groupBy);
+    const context = options.context || {};
+    
+    // Group in lifecycle order, or by workspace name
+    const groups = new Map();
+    if (groupBy === REPORT_GROUPS.STATUS) {
+        Object.values(OPERATION_STATUS).forEach(status => groups.set(status, []));
+    }
+    operations.forEach(operation => {
+        const group = formatReportValue(getReportValue(operation, groupBy, context), groupBy) || 'No workspace';
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        groups.get(group).push(operation);
+    });
+    
+    const lines = [
+        `# ${options.title || 'Operations report'}`,
+        '',
+        `Generated ${new Date().toISOString()} by ODS v9.1 - ${operations.length} operations, grouped by ${groupBy}.`
+    ];
+    
+    groups.forEach((groupOperations, group) => {
+        lines.push('', `## ${group.charAt(0).toUpperCase()}${group.slice(1)} (${groupOperations.length})`, '');
+        if (groupOperations.length === 0) {
+            lines.push('_None_');
+            return;
+        }
+        
+        lines.push(`| ${specs.map(column => escapeMarkdownCell(column.label)).join(' | ')} |`);
+        lines.push(`| ${specs.map(() => '---').join(' | ')} |`);
+        groupOperations.forEach(operation => {
+            const cells = specs.map(column => {
+                return escapeMarkdownCell(formatReportValue(getReportValue(operation, column.key, context), column.key));
+            });
+            lines.push(`| ${cells.join(' | ')} |`);
+        });
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Load operations for a report, with workspaces for name lookup
+ *
+ * scope filters operations the same way as a backup scope.
+ */
+async function loadReportData(scope = {}) {
+    const operations = await selectScopedOperations(normalizeBackupScope({ ...scope, stores: ['operations'] }));
+    const workspaces = new Map();
+    (await getAllItems('workspaces')).forEach(workspace => workspaces.set(workspace.id, workspace));
+    
+    // Oldest first reads best in a hand-off
+    operations.sort((a, b) => (a.created || 0) - (b.created || 0));
+    return { operations: operations, context: { workspaces: workspaces } };
+}
+
+/**
+ * Export operations as a CSV file
+ *
+ * options.columns picks columns; options.scope filters operations.
+ */
+async function exportOperationsCSV(options = {}) {
+    try {
+        const { operations, context } = await loadReportData(options.scope);
+        const csv = operationsToCSV(operations, options.columns || DEFAULT_REPORT_COLUMNS, context);
+        
+        // Byte order mark so spreadsheet apps read UTF-8
+        const filename = `ods-operations-${reportDateString()}.csv`;
+        downloadBlob(new Blob(['\uFEFF', csv], { type: 'text/csv' }), filename);
+        
+        console.log(`CSV export successful: ${filename}`);
+        return { success: true, filename: filename, count: operations.length };
+    } catch (error) {
+        console.error('CSV export failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Export operations as a Markdown report
+ *
+ * options.groupBy is 'status' (default) or 'workspace'; options.columns and
+ * options.scope as for CSV.
+ */
+async function exportOperationsMarkdown(options = {}) {
+    try {
+        const { operations, context } = await loadReportData(options.scope);
+        const markdown = operationsToMarkdown(operations, { ...options, context: context });
+        
+        const filename = `ods-operations-${reportDateString()}.md`;
+        downloadBlob(new Blob([markdown], { type: 'text/markdown' }), filename);
+        
+        console.log(`Markdown export successful: ${filename}`);
+        return { success: true, filename: filename, count: operations.length };
+    } catch (error) {
+        console.error('Markdown export failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Timestamp for report filenames
+ */
+function reportDateString() {
+    return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
+/**
+ * Ask for report options and export
+ */
+async function runReportExport() {
+    const { operations } = await loadReportData();
+    const columnKeys = getReportColumnKeys(operations);
+    
+    const result = await showDialog({
+        title: 'Export operations report',
+        message: `${operations.length} operations.\nAvailable columns: ${columnKeys.join(', ')}`,
+        fields: [
+            {
+                name: 'format',
+                label: 'Format',
+                type: 'select',
+                value: 'csv',
+                options: [
+                    { value: 'csv', label: 'CSV' },
+                    { value: 'markdown', label: 'Markdown' }
+                ]
+            },
+            {
+                name: 'groupBy',
+                label: 'Group Markdown by',
+                type: 'select',
+                value: REPORT_GROUPS.STATUS,
+                options: Object.values(REPORT_GROUPS).map(group => ({ value: group, label: group }))
+            },
+            {
+                name: 'columns',
+                label: 'Columns',
+                value: DEFAULT_REPORT_COLUMNS.map(column => column.key).join(', ')
+            }
+        ],
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: 'Export', value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    if (result.action !== true) return;
+    
+    const columns = parseReportColumns(result.values.columns);
+    const exported = result.values.format === 'markdown' ?
+        await exportOperationsMarkdown({ columns: columns, groupBy: result.values.groupBy }) :
+        await exportOperationsCSV({ columns: columns });
+    
+    if (!exported.success) {
+        await alertDialog('Export failed', exported.error);
+    }
+}
+
+/**
+ * Setup report UI handlers
+ */
+function setupReportHandlers() {
+    const reportBtn = document.getElementById('report-btn');
+    if (reportBtn) {
+        reportBtn.addEventListener('click', () => runReportExport());
+    }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        operationsToCSV,
+        operationsToMarkdown,
+        exportOperationsCSV,
+        exportOperationsMarkdown,
+        getReportColumnKeys,
+        parseReportColumns,
+        setupReportHandlers,
+        DEFAULT_REPORT_COLUMNS,
+        REPORT_GROUPS
+    };
+}
\ No newline at end of file
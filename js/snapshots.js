@@ -0,0 +1,407 @@
+// ODS v9.1 - Snapshots Module
+console.log('Snapshots module loaded');
+
+// Snapshot configuration (per device, kept in localStorage)
+const SNAPSHOT_CONFIG_KEY = 'ods_snapshot_config';
+const DEFAULT_SNAPSHOT_CONFIG = {
+    enabled: true,
+    intervalMinutes: 60,
+    retention: {
+        keepLast: 5,    // most recent snapshots, whatever their age
+        hourly: 24,     // newest snapshot of each of the last N hours
+        daily: 7,       // newest snapshot of each of the last N days
+        preImport: 5    // most recent pre-import snapshots, for undo
+    }
+};
+
+// Why a snapshot was taken
+const SNAPSHOT_REASONS = {
+    SCHEDULED: 'scheduled',
+    MANUAL: 'manual',
+    PRE_IMPORT: 'pre-import'
+};
+
+// Scheduler state
+let snapshotTimer = null;
+let snapshotDirty = true;
+
+/**
+ * Get snapshot configuration
+ */
+function getSnapshotConfig() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SNAPSHOT_CONFIG_KEY) || '{}');
+        const config = {
+            ...DEFAULT_SNAPSHOT_CONFIG,
+            ...saved,
+            retention: { ...DEFAULT_SNAPSHOT_CONFIG.retention, ...(saved.retention || {}) }
+        };
+        if (!isValidSnapshotInterval(config.intervalMinutes)) {
+            config.intervalMinutes = DEFAULT_SNAPSHOT_CONFIG.intervalMinutes;
+        }
+        return config;
+    } catch (error) {
+        console.error('Failed to read snapshot config:', error);
+        return { ...DEFAULT_SNAPSHOT_CONFIG };
+    }
+}
+
+/**
+ * Check a snapshot interval; anything but a positive number of minutes
+ * would make the schedule fire continuously
+ */
+function isValidSnapshotInterval(minutes) {
+    return typeof minutes === 'number' && Number.isFinite(minutes) && minutes > 0;
+}
+
+/**
+ * Update snapshot configuration and restart the schedule
+ */
+function setSnapshotConfig(changes) {
+    const interval = changes.intervalMinutes;
+    if ('intervalMinutes' in changes && !isValidSnapshotInterval(interval)) {
+        throw new Error(`Snapshot interval must be a positive number of minutes, not ${typeof interval === 'string' ? `"${interval}"` : interval}`);
+    }
+    
+    const current = getSnapshotConfig();
+    const config = {
+        ...current,
+        ...changes,
+        retention: { ...current.retention, ...(changes.retention || {}) }
+    };
+    localStorage.setItem(SNAPSHOT_CONFIG_KEY, JSON.stringify(config));
+    console.log('Snapshot config saved:', config);
+    
+    if (snapshotTimer !== null) {
+        stopSnapshotSchedule();
+        startSnapshotSchedule();
+    }
+    return config;
+}
+
+/**
+ * Take a snapshot of all backup stores into IndexedDB
+ */
+async function takeSnapshot(reason = SNAPSHOT_REASONS.MANUAL) {
+    try {
+        const data = {};
+        const counts = {};
+        for (const storeName of BACKUP_STORES) {
+            data[storeName] = await getAllItems(storeName);
+            counts[storeName] = data[storeName].length;
+        }
+        
+        const snapshot = {
+            id: generateId(),
+            timestamp: Date.now(),
+            reason: reason,
+            version: BACKUP_VERSION,
+            counts: counts,
+            size: JSON.stringify(data).length
+        };
+        
+        // The data is kept apart so listing snapshots does not load it
+        const id = snapshot.id;
+        await bulkWrite([
+            { store: 'snapshots', op: 'add', records: [snapshot] },
+            { store: 'snapshotData', op: 'add', records: [{ id: id, data: data }] }
+        ]);
+        snapshotDirty = false;
+        console.log(`Snapshot ${id} taken (${reason})`);
+        
+        // Scheduled and pre-import snapshots are pruned as new ones arrive
+        if (reason !== SNAPSHOT_REASONS.MANUAL) {
+            await pruneSnapshots();
+        }
+        
+        return { success: true, id: id, timestamp: snapshot.timestamp, counts: counts };
+    } catch (error) {
+        console.error('Snapshot failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * List snapshots, newest first, without their data
+ */
+async function listSnapshots() {
+    const result = await queryItems('snapshots', { index: 'timestamp', direction: 'prev' });
+    return result.items;
+}
+
+/**
+ * Restore all backup stores from a snapshot in one transaction
+ */
+async function restoreSnapshot(id) {
+    try {
+        const snapshot = await getItem('snapshots', id);
+        const stored = await getItem('snapshotData', id);
+        if (!snapshot || !stored) {
+            throw new Error(`Snapshot ${id} not found`);
+        }
+        
+        console.log(`Restoring snapshot ${id} from ${new Date(snapshot.timestamp).toLocaleString()}...`);
+        const result = await bulkWrite(BACKUP_STORES.flatMap(storeName => [
+            { store: storeName, op: 'clear' },
+            { store: storeName, op: 'add', records: stored.data[storeName] || [] }
+        ]));
+        
+        const restored = {};
+        BACKUP_STORES.forEach(storeName => {
+            restored[storeName] = result.stores[storeName].added;
+        });
+        
+        await addItem('backups', {
+            timestamp: Date.now(),
+            version: snapshot.version,
+            type: 'restore',
+            snapshotId: id,
+            imported: restored,
+            originalTimestamp: snapshot.timestamp
+        });
+        
+        console.log('Snapshot restored:', restored);
+        return { success: true, restored: restored };
+    } catch (error) {
+        console.error('Snapshot restore failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete a snapshot
+ */
+async function deleteSnapshot(id) {
+    return deleteSnapshots([id]);
+}
+
+/**
+ * Delete snapshots and their data in one transaction
+ */
+async function deleteSnapshots(ids) {
+    return bulkWrite([
+        { store: 'snapshots', op: 'delete', records: ids },
+        { store: 'snapshotData', op: 'delete', records: ids }
+    ]);
+}
+
+/**
+ * Pick which scheduled snapshots the retention policy keeps
+ *
+ * snapshots must be sorted newest first. Returns a Set of ids.
+ */
+function selectRetainedSnapshots(snapshots, retention) {
+    const keep = new Set();
+    
+    snapshots.slice(0, retention.keepLast).forEach(snapshot => keep.add(snapshot.id));
+    
+    const keepNewestPerBucket = (bucketSize, limit) => {
+        const buckets = new Set();
+        for (const snapshot of snapshots) {
+            if (buckets.size >= limit) break;
+            const bucket = Math.floor(snapshot.timestamp / bucketSize);
+            if (!buckets.has(bucket)) {
+                buckets.add(bucket);
+                keep.add(snapshot.id);
+            }
+        }
+    };
+    
+    // Buckets are UTC hours and days
+    keepNewestPerBucket(60 * 60 * 1000, retention.hourly);
+    keepNewestPerBucket(24 * 60 * 60 * 1000, retention.daily);
+    
+    return keep;
+}
+
+/**
+ * Delete scheduled and pre-import snapshots outside the retention policy
+ */
+async function pruneSnapshots() {
+    const config = getSnapshotConfig();
+    const snapshots = await listSnapshots();
+    const scheduled = snapshots.filter(snapshot => snapshot.reason === SNAPSHOT_REASONS.SCHEDULED);
+    const keep = selectRetainedSnapshots(scheduled, config.retention);
+    const expired = scheduled.filter(snapshot => !keep.has(snapshot.id)).map(snapshot => snapshot.id);
+    
+    // Only recent imports are worth undoing
+    const preImport = snapshots.filter(snapshot => snapshot.reason === SNAPSHOT_REASONS.PRE_IMPORT);
+    expired.push(...preImport.slice(config.retention.preImport).map(snapshot => snapshot.id));
+    
+    if (expired.length > 0) {
+        await deleteSnapshots(expired);
+        console.log(`Pruned ${expired.length} snapshots`);
+    }
+    return expired.length;
+}
+
+/**
+ * Take a scheduled snapshot if data changed since the last one
+ */
+async function runScheduledSnapshot() {
+    if (!snapshotDirty) {
+        console.log('No changes since last snapshot, skipping');
+        return { success: true, skipped: true };
+    }
+    return takeSnapshot(SNAPSHOT_REASONS.SCHEDULED);
+}
+
+/**
+ * Start periodic snapshots (leader tab only)
+ */
+function startSnapshotSchedule() {
+    const config = getSnapshotConfig();
+    if (!config.enabled || snapshotTimer !== null) {
+        return;
+    }
+    
+    const intervalMs = config.intervalMinutes * 60 * 1000;
+    snapshotTimer = setInterval(() => {
+        runAsLeader('scheduled snapshot', runScheduledSnapshot);
+    }, intervalMs);
+    
+    // Catch up if the last scheduled snapshot is older than one interval
+    listSnapshots().then(snapshots => {
+        const last = snapshots.find(snapshot => snapshot.reason === SNAPSHOT_REASONS.SCHEDULED);
+        if (!last || Date.now() - last.timestamp >= intervalMs) {
+            runAsLeader('scheduled snapshot', runScheduledSnapshot);
+        }
+    }).catch(error => {
+        console.error('Failed to check for a missed snapshot:', error);
+    });
+    
+    console.log(`Snapshot schedule started (every ${config.intervalMinutes} minutes)`);
+}
+
+/**
+ * Stop periodic snapshots
+ */
+function stopSnapshotSchedule() {
+    if (snapshotTimer !== null) {
+        clearInterval(snapshotTimer);
+        snapshotTimer = null;
+        console.log('Snapshot schedule stopped');
+    }
+}
+
+/**
+ * Describe a snapshot for display
+ */
+function describeSnapshot(snapshot) {
+    const counts = BACKUP_STORES.map(storeName => `${(snapshot.counts || {})[storeName] || 0} ${storeName}`).join(', ');
+    return `${new Date(snapshot.timestamp).toLocaleString()} (${snapshot.reason}) - ${counts}`;
+}
+
+/**
+ * List snapshots and restore one, or take a new one
+ */
+async function runSnapshotManager() {
+    const snapshots = await listSnapshots();
+    const fields = [];
+    if (snapshots.length > 0) {
+        fields.push({
+            name: 'snapshot',
+            label: 'Snapshot',
+            type: 'select',
+            value: String(snapshots[0].id),
+            options: snapshots.map(snapshot => ({ value: String(snapshot.id), label: describeSnapshot(snapshot) }))
+        });
+    }
+    
+    const result = await showDialog({
+        title: 'Snapshots',
+        message: snapshots.length > 0 ?
+            'Local snapshots of themes, operations and workspaces kept on this device, newest first.' :
+            'There are no snapshots on this device yet.',
+        fields: fields,
+        actions: [
+            { label: 'Take snapshot', value: 'take' },
+            ...(snapshots.length > 0 ? [{ label: 'Restore', value: 'restore' }] : []),
+            { label: 'Close', value: null, primary: true }
+        ]
+    });
+    
+    if (result.action === 'take') {
+        const taken = await takeSnapshot(SNAPSHOT_REASONS.MANUAL);
+        await alertDialog(taken.success ? 'Snapshot taken' : 'Snapshot failed',
+            taken.success ? describeSnapshot({ ...taken, reason: SNAPSHOT_REASONS.MANUAL }) : taken.error);
+    } else if (result.action === 'restore') {
+        const snapshot = snapshots.find(item => String(item.id) === result.values.snapshot);
+        if (snapshot) {
+            await runRestoreSnapshot(snapshot);
+        }
+    }
+}
+
+/**
+ * Restore a snapshot from the UI after confirming
+ */
+async function runRestoreSnapshot(snapshot) {
+    const proceed = await confirmDialog(
+        'Restore snapshot',
+        `Replace all themes, operations and workspaces with the snapshot from ` +
+        `${new Date(snapshot.timestamp).toLocaleString()}?\n\nChanges made since then will be lost.`,
+        'Restore'
+    );
+    if (!proceed) return;
+    
+    const result = await restoreSnapshot(snapshot.id);
+    if (result.success) {
+        // Reload theme to apply restored settings
+        await reloadImportedTheme();
+    }
+    await alertDialog(result.success ? 'Snapshot restored' : 'Restore failed', result.success ?
+        'Restored ' + BACKUP_STORES.map(storeName => `${result.restored[storeName]} ${storeName}`).join(', ') :
+        result.error);
+}
+
+/**
+ * Set up the snapshots button
+ */
+function setupSnapshotControls() {
+    const snapshotsBtn = document.getElementById('snapshots-btn');
+    if (snapshotsBtn) {
+        snapshotsBtn.addEventListener('click', () => runSnapshotManager());
+    }
+}
+
+/**
+ * Initialize snapshots: track changes and schedule in the leader tab
+ */
+function initSnapshots() {
+    // Any write to backed-up data, from this tab or another, needs a new snapshot
+    onDataChange((change) => {
+        if (BACKUP_STORES.includes(change.store)) {
+            snapshotDirty = true;
+        }
+    });
+    
+    onLeadershipChange((leader) => {
+        if (leader) {
+            startSnapshotSchedule();
+        } else {
+            stopSnapshotSchedule();
+        }
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        initSnapshots,
+        takeSnapshot,
+        listSnapshots,
+        restoreSnapshot,
+        deleteSnapshot,
+        deleteSnapshots,
+        pruneSnapshots,
+        selectRetainedSnapshots,
+        getSnapshotConfig,
+        setSnapshotConfig,
+        runSnapshotManager,
+        setupSnapshotControls,
+        startSnapshotSchedule,
+        stopSnapshotSchedule,
+        SNAPSHOT_REASONS
+    };
+}
\ No newline at end of file
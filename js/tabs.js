@@ -0,0 +1,179 @@
+// ODS v9.1 - Tab Coordination Module
+console.log('Tabs module loaded');
+
+// This tab's identity
+const TAB_ID = generateId();
+const TAB_OPENED = Date.now();
+
+// Web Lock held by the leader tab for as long as it is open
+const LEADER_LOCK = `${DB_NAME}_leader`;
+
+// Presence channel shared by all open tabs
+const tabChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${DB_NAME}_tabs`) : null;
+
+// Leadership state
+let leaderTab = false;
+const leadershipListeners = new Set();
+
+// Replies collected by findOtherTabs(), keyed by request id
+const tabQueries = new Map();
+
+// Listen from the start: a blocked upgrade asks for other tabs before initTabs() runs
+if (tabChannel) {
+    tabChannel.onmessage = handleTabMessage;
+}
+
+/**
+ * Initialize tab coordination
+ */
+function initTabs() {
+    requestLeadership();
+    console.log(`Tab ${TAB_ID} initialized`);
+}
+
+/**
+ * Describe this tab for other tabs
+ */
+function describeTab() {
+    return {
+        tabId: TAB_ID,
+        title: document.title,
+        path: location.pathname,
+        opened: TAB_OPENED,
+        dbVersion: db ? db.version : null,
+        codeVersion: DB_VERSION,
+        leader: leaderTab
+    };
+}
+
+/**
+ * Answer presence queries from other tabs
+ */
+function handleTabMessage(event) {
+    const message = event.data;
+    
+    if (message.type === 'ping' && message.from !== TAB_ID) {
+        tabChannel.postMessage({ type: 'pong', queryId: message.queryId, tab: describeTab() });
+    } else if (message.type === 'pong' && tabQueries.has(message.queryId)) {
+        tabQueries.get(message.queryId).push(message.tab);
+    }
+}
+
+/**
+ * Ask every other open tab to identify itself
+ */
+async function findOtherTabs(timeout = 300) {
+    if (!tabChannel) {
+        return [];
+    }
+    
+    const queryId = generateId();
+    tabQueries.set(queryId, []);
+    tabChannel.postMessage({ type: 'ping', queryId: queryId, from: TAB_ID });
+    
+    await new Promise(resolve => setTimeout(resolve, timeout));
+    
+    const tabs = tabQueries.get(queryId);
+    tabQueries.delete(queryId);
+    return tabs;
+}
+
+/**
+ * Check whether a tab's reply shows it holding an older database connection
+ */
+function isBlockingTab(tab) {
+    return tab.dbVersion !== null && tab.dbVersion < DB_VERSION;
+}
+
+/**
+ * Find tabs that still hold an older database connection
+ *
+ * Tabs running ODS code from before tab coordination never answer, so an
+ * empty list does not mean nothing is blocking.
+ */
+async function findBlockingTabs() {
+    const tabs = await findOtherTabs();
+    return tabs.filter(isBlockingTab);
+}
+
+/**
+ * Queue for the leader lock; the first tab to get it leads until it closes
+ */
+function requestLeadership() {
+    if (!navigator.locks) {
+        // Without Web Locks there is no safe election; act alone
+        console.warn('Web Locks not supported, this tab assumes leadership');
+        setLeader(true);
+        return;
+    }
+    
+    navigator.locks.request(LEADER_LOCK, () => {
+        setLeader(true);
+        // Hold the lock until the tab goes away
+        return new Promise(() => {});
+    }).catch(error => {
+        console.error('Leader election failed:', error);
+    });
+}
+
+/**
+ * Update leadership and tell listeners
+ */
+function setLeader(value) {
+    leaderTab = value;
+    console.log(value ? 'This tab is now the leader' : 'This tab is no longer the leader');
+    leadershipListeners.forEach(listener => {
+        try {
+            listener(value);
+        } catch (error) {
+            console.error('Leadership listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Check whether this tab runs singleton jobs
+ */
+function isLeaderTab() {
+    return leaderTab;
+}
+
+/**
+ * Subscribe to leadership changes; called immediately if already leader
+ */
+function onLeadershipChange(listener) {
+    leadershipListeners.add(listener);
+    if (leaderTab) {
+        listener(true);
+    }
+    return () => leadershipListeners.delete(listener);
+}
+
+/**
+ * Run a singleton job only in the leader tab
+ */
+async function runAsLeader(jobName, job) {
+    if (!leaderTab) {
+        console.log(`Skipping ${jobName}: not the leader tab`);
+        return { ran: false };
+    }
+    
+    console.log(`Running ${jobName} as leader`);
+    return { ran: true, result: await job() };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        initTabs,
+        describeTab,
+        findOtherTabs,
+        findBlockingTabs,
+        isBlockingTab,
+        isLeaderTab,
+        onLeadershipChange,
+        runAsLeader,
+        TAB_ID,
+        TAB_OPENED
+    };
+}
\ No newline at end of file
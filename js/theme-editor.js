@@ -0,0 +1,371 @@
+// ODS v9.1 - Theme Editor Module
+console.log('Theme editor module loaded');
+
+// localStorage key for the minimum contrast ratio
+const CONTRAST_THRESHOLD_KEY = 'ods_contrast_threshold';
+
+// WCAG 2.1 contrast levels
+const CONTRAST_LEVELS = {
+    AA: 4.5,        // normal text
+    AA_LARGE: 3,    // large text and UI components
+    AAA: 7
+};
+
+// Allowed ranges for editable sizes, in pixels
+const THEME_LIMITS = {
+    baseFontSize: { min: 8, max: 40 },
+    spacingUnit: { min: 2, max: 32 }
+};
+
+// Open editor panel, if any
+let themeEditorPanel = null;
+
+/**
+ * Minimum contrast ratio a theme must meet to be saved
+ */
+function getContrastThreshold() {
+    const saved = parseFloat(localStorage.getItem(CONTRAST_THRESHOLD_KEY));
+    return saved >= 1 && saved <= 21 ? saved : CONTRAST_LEVELS.AA;
+}
+
+/**
+ * Set the minimum contrast ratio (1 to 21)
+ */
+function setContrastThreshold(value) {
+    const threshold = Number(value);
+    if (!(threshold >= 1 && threshold <= 21)) {
+        throw new ThemeError(`Contrast threshold must be between 1 and 21, got ${value}`);
+    }
+    localStorage.setItem(CONTRAST_THRESHOLD_KEY, String(threshold));
+    return threshold;
+}
+
+/**
+ * Parse #RGB or #RRGGBB into { r, g, b }, or null
+ */
+function parseHexColor(value) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(typeof value === 'string' ? value.trim() : '');
+    if (!match) {
+        return null;
+    }
+    
+    let hex = match[1];
+    if (hex.length === 3) {
+        hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16)
+    };
+}
+
+/**
+ * WCAG relative luminance of an { r, g, b } color
+ */
+function relativeLuminance(color) {
+    const [r, g, b] = [color.r, color.g, color.b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two hex colors, from 1 to 21
+ */
+function contrastRatio(foreground, background) {
+    const first = parseHexColor(foreground);
+    const second = parseHexColor(background);
+    if (!first || !second) {
+        return null;
+    }
+    
+    const lighter = Math.max(relativeLuminance(first), relativeLuminance(second));
+    const darker = Math.min(relativeLuminance(first), relativeLuminance(second));
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Check text and UI colors against the background
+ *
+ * Resolves to { threshold, passed, pairs: [{ name, ratio, passed }] }.
+ */
+function checkThemeContrast(values, threshold = getContrastThreshold()) {
+    const pairs = [
+        { name: 'Text on background', foreground: values.colors.text },
+        { name: 'UI on background', foreground: values.colors.ui }
+    ].map(pair => {
+        const ratio = contrastRatio(pair.foreground, values.colors.background);
+        return { name: pair.name, ratio: ratio, passed: ratio !== null && ratio >= threshold };
+    });
+    
+    return { threshold: threshold, passed: pairs.every(pair => pair.passed), pairs: pairs };
+}
+
+/**
+ * List problems with edited theme values; empty when they can be applied
+ */
+function validateThemeValues(values) {
+    const errors = [];
+    
+    Object.entries(values.colors).forEach(([name, color]) => {
+        if (!parseHexColor(color)) {
+            errors.push(`${name} color must be a hex color like #00FF00`);
+        }
+    });
+    
+    // The family is written into a CSS string, so keep it to a plain name
+    const family = values.typography.fontFamily;
+    if (typeof family !== 'string' || !family.trim()) {
+        errors.push('Font family is required');
+    } else if (/["';{}\\]/.test(family)) {
+        errors.push('Font family cannot contain quotes, semicolons, braces or backslashes');
+    }
+    
+    const checkRange = (label, value, limits) => {
+        if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+            errors.push(`${label} must be between ${limits.min} and ${limits.max}px`);
+        }
+    };
+    checkRange('Base font size', values.typography.baseFontSize, THEME_LIMITS.baseFontSize);
+    checkRange('Spacing unit', values.spacing.unit, THEME_LIMITS.spacingUnit);
+    
+    return errors;
+}
+
+/**
+ * Save edited values into the active theme
+ *
+ * Refuses invalid values and colors below the contrast threshold.
+ */
+async function saveThemeValues(values, threshold = getContrastThreshold()) {
+    const errors = validateThemeValues(values);
+    if (errors.length > 0) {
+        throw new ThemeError(errors.join('; '), getActiveThemeId());
+    }
+    
+    const contrast = checkThemeContrast(values, threshold);
+    if (!contrast.passed) {
+        const failing = contrast.pairs.filter(pair => !pair.passed)
+            .map(pair => `${pair.name} ${formatContrastRatio(pair.ratio)}`).join(', ');
+        throw new ThemeError(`Contrast below ${threshold}:1 - ${failing}`, getActiveThemeId());
+    }
+    
+    theme.colors = { ...values.colors };
+    theme.typography = { ...values.typography, fontFamily: values.typography.fontFamily.trim() };
+    theme.spacing = { ...values.spacing };
+    applyTheme(theme);
+    await saveTheme();
+    
+    console.log(`Theme ${theme.name} saved from editor`);
+    return theme;
+}
+
+/**
+ * Format a ratio as "4.50:1"
+ */
+function formatContrastRatio(ratio) {
+    return ratio === null ? 'n/a' : `${ratio.toFixed(2)}:1`;
+}
+
+/**
+ * Open the theme editor panel for the active theme
+ *
+ * Edits preview live; Cancel or Escape puts the saved theme back.
+ */
+function openThemeEditor() {
+    if (themeEditorPanel) {
+        themeEditorPanel.querySelector('input').focus();
+        return themeEditorPanel;
+    }
+    
+    const previousFocus = document.activeElement;
+    const panel = document.createElement('aside');
+    panel.className = 'theme-editor';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'Theme editor');
+    
+    const heading = document.createElement('div');
+    heading.className = 'dialog-title';
+    heading.textContent = `Edit theme: ${theme.name}`;
+    panel.appendChild(heading);
+    
+    const inputs = {};
+    const addField = (name, label, element) => {
+        const field = document.createElement('label');
+        field.className = 'dialog-field';
+        field.textContent = label;
+        field.appendChild(element);
+        panel.appendChild(field);
+        inputs[name] = element;
+        return element;
+    };
+    const createInput = (type, value, attributes = {}) => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value;
+        Object.entries(attributes).forEach(([key, attribute]) => input.setAttribute(key, attribute));
+        return input;
+    };
+    
+    // Colors: a picker and a hex field kept in step
+    const colorLabels = { background: 'Background', text: 'Text', ui: 'UI' };
+    Object.entries(colorLabels).forEach(([name, label]) => {
+        const row = document.createElement('div');
+        row.className = 'theme-color-row';
+        const picker = createInput('color', theme.colors[name].length === 7 ? theme.colors[name] : '#000000', { 'aria-label': `${label} color picker` });
+        const hex = createInput('text', theme.colors[name], { spellcheck: 'false' });
+        picker.addEventListener('input', () => {
+            hex.value = picker.value.toUpperCase();
+            update();
+        });
+        hex.addEventListener('input', () => {
+            const color = parseHexColor(hex.value);
+            if (color) {
+                picker.value = '#' + [color.r, color.g, color.b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+            }
+        });
+        row.appendChild(picker);
+        row.appendChild(hex);
+        addField(name, label, row);
+        inputs[name] = hex;
+    });
+    
+    addField('fontFamily', 'Font family', createInput('text', theme.typography.fontFamily));
+    addField('baseFontSize', 'Base font size (px)', createInput('number', theme.typography.baseFontSize, THEME_LIMITS.baseFontSize));
+    addField('spacingUnit', 'Spacing unit (px)', createInput('number', theme.spacing.unit, THEME_LIMITS.spacingUnit));
+    addField('threshold', `Minimum contrast (AA ${CONTRAST_LEVELS.AA}, AA large ${CONTRAST_LEVELS.AA_LARGE}, AAA ${CONTRAST_LEVELS.AAA})`,
+        createInput('number', getContrastThreshold(), { min: 1, max: 21, step: 0.1 }));
+    
+    const report = document.createElement('div');
+    report.className = 'theme-contrast';
+    report.setAttribute('aria-live', 'polite');
+    panel.appendChild(report);
+    
+    // Actions
+    const buttons = document.createElement('div');
+    buttons.className = 'dialog-actions';
+    const addButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+        return button;
+    };
+    
+    const readValues = () => ({
+        colors: {
+            background: inputs.background.value.trim(),
+            text: inputs.text.value.trim(),
+            ui: inputs.ui.value.trim()
+        },
+        typography: {
+            fontFamily: inputs.fontFamily.value,
+            baseFontSize: parseFloat(inputs.baseFontSize.value)
+        },
+        spacing: {
+            unit: parseFloat(inputs.spacingUnit.value)
+        }
+    });
+    
+    const close = () => {
+        panel.remove();
+        themeEditorPanel = null;
+        if (previousFocus && typeof previousFocus.focus === 'function') {
+            previousFocus.focus();
+        }
+    };
+    
+    const cancel = () => {
+        applyTheme(theme);
+        close();
+    };
+    
+    addButton('Defaults', () => {
+        const defaults = createDefaultTheme();
+        Object.keys(colorLabels).forEach(name => {
+            inputs[name].value = defaults.colors[name];
+            inputs[name].dispatchEvent(new Event('input'));
+        });
+        inputs.fontFamily.value = defaults.typography.fontFamily;
+        inputs.baseFontSize.value = defaults.typography.baseFontSize;
+        inputs.spacingUnit.value = defaults.spacing.unit;
+        update();
+    });
+    addButton('Cancel', cancel);
+    const saveButton = addButton('Save', async () => {
+        try {
+            const threshold = setContrastThreshold(inputs.threshold.value);
+            await saveThemeValues(readValues(), threshold);
+            close();
+        } catch (error) {
+            report.textContent += `\n${error.message}`;
+        }
+    });
+    saveButton.classList.add('primary');
+    panel.appendChild(buttons);
+    
+    // Preview valid values live and show where the contrast stands
+    function update() {
+        const values = readValues();
+        const errors = validateThemeValues(values);
+        const threshold = Number(inputs.threshold.value);
+        if (!(threshold >= 1 && threshold <= 21)) {
+            errors.push('Minimum contrast must be between 1 and 21');
+        }
+        
+        const contrast = checkThemeContrast(values, threshold);
+        const lines = contrast.pairs.map(pair => {
+            return `${pair.passed ? 'PASS' : 'FAIL'} ${pair.name}: ${formatContrastRatio(pair.ratio)}`;
+        });
+        if (!contrast.passed) {
+            lines.push(`Needs at least ${threshold}:1 to save.`);
+        }
+        report.textContent = lines.concat(errors).join('\n');
+        
+        if (errors.length === 0) {
+            applyTheme(values);
+        }
+        saveButton.disabled = errors.length > 0 || !contrast.passed;
+    }
+    
+    Object.keys(inputs).forEach(name => inputs[name].addEventListener('input', update));
+    panel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            cancel();
+        }
+    });
+    
+    document.body.appendChild(panel);
+    themeEditorPanel = panel;
+    update();
+    inputs.background.focus();
+    return panel;
+}
+
+/**
+ * Set up the theme editor button
+ */
+function setupThemeEditor() {
+    const editorBtn = document.getElementById('theme-editor-btn');
+    if (editorBtn) {
+        editorBtn.addEventListener('click', () => openThemeEditor());
+    }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        contrastRatio,
+        checkThemeContrast,
+        validateThemeValues,
+        saveThemeValues,
+        getContrastThreshold,
+        setContrastThreshold,
+        openThemeEditor,
+        setupThemeEditor,
+        CONTRAST_LEVELS
+    };
+}
\ No newline at end of file
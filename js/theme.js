@@ -1,8 +1,20 @@
 // ODS v9.1 - Theme System
 console.log('Theme module loaded');
 
-// Theme configuration
+// Theme every install starts with; recreated if missing
+const DEFAULT_THEME_ID = 'default';
+
+// localStorage key remembering the chosen theme
+const ACTIVE_THEME_KEY = 'ods_active_theme';
+
+// Standalone theme files, kept apart from full backups
+const THEME_FILE_MAGIC = 'ODS_THEME_v9';
+const THEME_FILE_VERSION = '9.1';
+
+// Theme configuration (the active theme, edited in place)
 const theme = {
+    id: DEFAULT_THEME_ID,
+    name: 'Default',
     colors: {
         background: '#000000',
         text: '#00FF00',
@@ -12,17 +24,36 @@ const theme = {
         fontFamily: 'Share Tech Mono',
         baseFontSize: 16
     },
+    spacing: {
+        unit: 8
+    },
     scale: {
         current: 1,
         min: 0.25,
         max: 2.0,
-        step: 0.05
+        step: 0.05,
+        topBar: null,
+        panels: {}
     }
 };
 
-// Store current scale in memory (will persist to DB in Batch 5)
+// Store current scale in memory
 let currentScale = 1;
 
+// Theme record that saveTheme() writes to
+let activeThemeId = DEFAULT_THEME_ID;
+
+/**
+ * Base error for theme management failures
+ */
+class ThemeError extends Error {
+    constructor(message, themeId) {
+        super(message);
+        this.name = 'ThemeError';
+        this.themeId = themeId;
+    }
+}
+
 /**
  * Initialize theme system
  */
@@ -30,7 +61,10 @@ async function initTheme() {
     console.log('Initializing theme...');
     
     try {
-        // Try to load saved theme (will connect to DB in Batch 5)
+        // Start from the theme chosen last time
+        activeThemeId = getRememberedThemeId();
+        
+        // Try to load saved theme
         await loadTheme();
         
         // Apply theme to document
@@ -59,10 +93,15 @@ function applyTheme(themeObject) {
     root.style.setProperty('--color-text', themeObject.colors.text);
     root.style.setProperty('--color-ui', themeObject.colors.ui);
     
-    // Apply typography
-    root.style.setProperty('--font-family', themeObject.typography.fontFamily);
+    // Apply typography, keeping a monospace fallback for fonts that are not installed
+    root.style.setProperty('--font-family', `"${themeObject.typography.fontFamily}", monospace`);
     root.style.setProperty('--font-size-base', `${themeObject.typography.baseFontSize}px`);
     
+    // Apply spacing (themes saved before spacing was editable use the stylesheet's)
+    if (themeObject.spacing) {
+        root.style.setProperty('--spacing-unit', `${themeObject.spacing.unit}px`);
+    }
+    
     console.log('Theme applied to document');
 }
 
@@ -70,33 +109,17 @@ function applyTheme(themeObject) {
  * Set the scale/zoom level
  */
 function setScale(value) {
-    // Clamp value between min and max
-    const clampedValue = Math.max(theme.scale.min, Math.min(theme.scale.max, value));
-    
-    // Round to nearest step
-    const steppedValue = Math.round(clampedValue / theme.scale.step) * theme.scale.step;
+    const steppedValue = clampScale(value);
     
     // Store current scale
     currentScale = steppedValue;
     theme.scale.current = steppedValue;
     
-    // Apply scale to document
+    // Stylesheet sizes are multiplied by --scale-factor, so text is laid out
+    // at its real size rather than a transformed bitmap
     const root = document.documentElement;
     root.style.setProperty('--scale-factor', steppedValue);
-    
-    // Apply transform for scaling
-    root.style.transform = `scale(${steppedValue})`;
-    root.style.transformOrigin = 'top left';
-    
-    // Adjust body dimensions to prevent overflow
-    if (steppedValue !== 1) {
-        const inverseScale = 1 / steppedValue;
-        document.body.style.width = `${100 * inverseScale}%`;
-        document.body.style.height = `${100 * inverseScale}%`;
-    } else {
-        document.body.style.width = '100%';
-        document.body.style.height = '100%';
-    }
+    applyComponentScales();
     
     // Update scale display if it exists
     const scaleDisplay = document.getElementById('scale-display');
@@ -109,6 +132,77 @@ function setScale(value) {
     return steppedValue;
 }
 
+/**
+ * Clamp a scale between min and max and round it to the nearest step
+ */
+function clampScale(value) {
+    const clampedValue = Math.max(theme.scale.min, Math.min(theme.scale.max, value));
+    
+    // Round away float noise such as 1.1500000000000001
+    return Number((Math.round(clampedValue / theme.scale.step) * theme.scale.step).toFixed(4));
+}
+
+/**
+ * Apply the top bar's and panels' own scales
+ *
+ * Anything without its own factor follows the content scale. Panels are
+ * elements with a data-panel-id attribute.
+ */
+function applyComponentScales() {
+    const root = document.documentElement;
+    root.style.setProperty('--top-bar-scale', getTopBarScale());
+    
+    const panels = theme.scale.panels || {};
+    document.querySelectorAll('[data-panel-id]').forEach(panel => {
+        const factor = panels[panel.dataset.panelId];
+        if (factor) {
+            panel.style.setProperty('--scale-factor', factor);
+        } else {
+            panel.style.removeProperty('--scale-factor');
+        }
+    });
+}
+
+/**
+ * Give the top bar its own scale, or null to follow the content scale
+ *
+ * Like setScale(), call saveTheme() to keep it.
+ */
+function setTopBarScale(value) {
+    theme.scale.topBar = value === null ? null : clampScale(value);
+    applyComponentScales();
+    return getTopBarScale();
+}
+
+/**
+ * Scale the top bar is drawn at
+ */
+function getTopBarScale() {
+    return theme.scale.topBar || currentScale;
+}
+
+/**
+ * Give a panel its own scale, or null to follow the content scale
+ */
+function setPanelScale(panelId, value) {
+    const panels = { ...(theme.scale.panels || {}) };
+    if (value === null) {
+        delete panels[panelId];
+    } else {
+        panels[panelId] = clampScale(value);
+    }
+    theme.scale.panels = panels;
+    applyComponentScales();
+    return getPanelScale(panelId);
+}
+
+/**
+ * Scale a panel is drawn at
+ */
+function getPanelScale(panelId) {
+    return (theme.scale.panels || {})[panelId] || currentScale;
+}
+
 /**
  * Get current scale value
  */
@@ -121,7 +215,7 @@ function getScale() {
  */
 function scaleUp() {
     const newScale = setScale(currentScale + theme.scale.step);
-    saveTheme(); // Will connect to DB in Batch 5
+    saveTheme();
     return newScale;
 }
 
@@ -130,7 +224,7 @@ function scaleUp() {
  */
 function scaleDown() {
     const newScale = setScale(currentScale - theme.scale.step);
-    saveTheme(); // Will connect to DB in Batch 5
+    saveTheme();
     return newScale;
 }
 
@@ -141,9 +235,11 @@ async function saveTheme() {
     try {
         // Prepare theme data for saving
         const themeData = {
-            id: 'default',  // Using 'default' as the primary theme ID
+            id: activeThemeId,
+            name: theme.name,
             colors: theme.colors,
             typography: theme.typography,
+            spacing: theme.spacing,
             scale: {
                 ...theme.scale,
                 current: currentScale
@@ -155,11 +251,11 @@ async function saveTheme() {
         console.log('Saving theme to database...');
         
         // Check if theme exists
-        const existingTheme = await getItem('themes', 'default');
+        const existingTheme = await getItem('themes', activeThemeId);
         
         if (existingTheme) {
             // Update existing theme
-            await updateItem('themes', 'default', themeData);
+            await updateItem('themes', activeThemeId, themeData);
             console.log('Theme updated in database');
         } else {
             // Add new theme
@@ -177,9 +273,11 @@ async function saveTheme() {
         // Fallback to localStorage if database fails
         try {
             const themeData = {
-                id: 'default',
+                id: activeThemeId,
+                name: theme.name,
                 colors: theme.colors,
                 typography: theme.typography,
+                spacing: theme.spacing,
                 scale: {
                     ...theme.scale,
                     current: currentScale
@@ -204,22 +302,20 @@ async function loadTheme() {
         console.log('Loading theme from database...');
         
         // Try to load from IndexedDB
-        const savedTheme = await getItem('themes', 'default');
+        let savedTheme = await getItem('themes', activeThemeId);
+        
+        // The active theme may have been deleted, here or in another tab
+        if (!savedTheme && activeThemeId !== DEFAULT_THEME_ID) {
+            console.log(`Theme ${activeThemeId} not found, falling back to default`);
+            activeThemeId = DEFAULT_THEME_ID;
+            savedTheme = await getItem('themes', DEFAULT_THEME_ID);
+        }
         
         if (savedTheme) {
             console.log('Theme loaded from database:', savedTheme);
             
             // Apply saved theme values
-            if (savedTheme.colors) {
-                theme.colors = savedTheme.colors;
-            }
-            if (savedTheme.typography) {
-                theme.typography = savedTheme.typography;
-            }
-            if (savedTheme.scale) {
-                theme.scale = savedTheme.scale;
-                currentScale = savedTheme.scale.current || 1;
-            }
+            useThemeRecord(savedTheme);
             
             return theme;
         } else {
@@ -250,6 +346,8 @@ async function loadTheme() {
             }
             
             console.log('No saved theme found, using defaults');
+            theme.id = DEFAULT_THEME_ID;
+            theme.name = 'Default';
             // Save defaults to database
             await saveTheme();
             return theme;
@@ -280,15 +378,55 @@ async function loadTheme() {
 
 /**
  * Delete theme from database
+ *
+ * Defaults to the active theme. Workspaces bound to it go back to the
+ * chosen theme, and deleting the active theme switches to the default one.
  */
-async function deleteTheme() {
+async function deleteTheme(id = activeThemeId) {
     try {
-        await deleteItem('themes', 'default');
-        console.log('Theme deleted from database');
+        const now = Date.now();
+        const switchToDefault = id !== DEFAULT_THEME_ID && activeThemeId === id;
+        
+        // Delete the theme, unbind its workspaces and, when it was active, make
+        // sure the default theme exists, all in one transaction
+        const steps = [{ store: 'themes', op: 'delete', records: [id] }];
+        // The binding is checked again inside the transaction, so a workspace
+        // changed since this read keeps its other edits
+        const boundWorkspaces = (await getAllItems('workspaces')).filter(workspace => workspace.themeId === id);
+        if (boundWorkspaces.length > 0) {
+            steps.push({
+                store: 'workspaces',
+                op: 'update',
+                records: boundWorkspaces.map(workspace => workspace.id),
+                update: workspace => workspace.themeId === id ? { themeId: null } : {}
+            });
+        }
+        if (switchToDefault && !(await getItem('themes', DEFAULT_THEME_ID))) {
+            steps.push({
+                store: 'themes',
+                op: 'put',
+                records: [{ ...createDefaultTheme(), id: DEFAULT_THEME_ID, name: 'Default', timestamp: now, version: '9.1' }]
+            });
+        }
+        await bulkWrite(steps);
+        console.log(`Theme ${id} deleted from database`);
         
-        // Also clear localStorage backups
-        localStorage.removeItem('ods_theme');
-        localStorage.removeItem('ods_theme_backup');
+        if (id === DEFAULT_THEME_ID) {
+            // Also clear localStorage backups
+            localStorage.removeItem('ods_theme');
+            localStorage.removeItem('ods_theme_backup');
+        } else {
+            if (getRememberedThemeId() === id) {
+                localStorage.removeItem(ACTIVE_THEME_KEY);
+            }
+            if (switchToDefault) {
+                activeThemeId = DEFAULT_THEME_ID;
+                await loadTheme();
+                applyTheme(theme);
+                setScale(currentScale);
+            }
+        }
+        await updateThemeSelect();
         
         return true;
     } catch (error) {
@@ -299,19 +437,18 @@ async function deleteTheme() {
 
 /**
  * Reset theme to defaults
+ *
+ * Resets the active theme's values; its name is kept.
  */
 function resetTheme() {
-    theme.colors = {
-        background: '#000000',
-        text: '#00FF00',
-        ui: '#00FF00'
-    };
-    theme.typography = {
-        fontFamily: 'Share Tech Mono',
-        baseFontSize: 16
-    };
+    const defaults = createDefaultTheme();
+    theme.colors = defaults.colors;
+    theme.typography = defaults.typography;
+    theme.spacing = defaults.spacing;
     currentScale = 1;
     theme.scale.current = 1;
+    theme.scale.topBar = null;
+    theme.scale.panels = {};
     
     applyTheme(theme);
     setScale(1);
@@ -320,6 +457,560 @@ function resetTheme() {
     console.log('Theme reset to defaults and saved to database');
 }
 
+/**
+ * Fresh copy of the built-in theme values
+ */
+function createDefaultTheme() {
+    return {
+        colors: {
+            background: '#000000',
+            text: '#00FF00',
+            ui: '#00FF00'
+        },
+        typography: {
+            fontFamily: 'Share Tech Mono',
+            baseFontSize: 16
+        },
+        spacing: {
+            unit: 8
+        },
+        scale: {
+            current: 1,
+            min: 0.25,
+            max: 2.0,
+            step: 0.05,
+            topBar: null,
+            panels: {}
+        }
+    };
+}
+
+/**
+ * Copy a saved theme record into the active theme
+ */
+function useThemeRecord(record) {
+    theme.id = record.id;
+    theme.name = getThemeName(record);
+    if (record.colors) {
+        theme.colors = record.colors;
+    }
+    if (record.typography) {
+        theme.typography = record.typography;
+    }
+    theme.spacing = record.spacing || createDefaultTheme().spacing;
+    if (record.scale) {
+        theme.scale = { ...createDefaultTheme().scale, ...record.scale };
+        currentScale = record.scale.current || 1;
+    }
+}
+
+/**
+ * Display name of a theme record; themes saved before naming fall back to their id
+ */
+function getThemeName(record) {
+    if (record.name) {
+        return record.name;
+    }
+    return record.id === DEFAULT_THEME_ID ? 'Default' : String(record.id);
+}
+
+/**
+ * Id of the theme chosen last time
+ */
+function getRememberedThemeId() {
+    return localStorage.getItem(ACTIVE_THEME_KEY) || DEFAULT_THEME_ID;
+}
+
+/**
+ * Id of the theme currently applied
+ */
+function getActiveThemeId() {
+    return activeThemeId;
+}
+
+/**
+ * List saved themes by name
+ */
+async function listThemes() {
+    const themes = await getAllItems('themes');
+    return themes
+        .map(record => ({ ...record, name: getThemeName(record) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check a theme name is present and not used by another theme
+ */
+async function checkThemeName(name, exceptId = null) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new ThemeError('Theme name is required', exceptId);
+    }
+    
+    const themes = await listThemes();
+    const clash = themes.find(record => record.id !== exceptId && record.name.toLowerCase() === trimmed.toLowerCase());
+    if (clash) {
+        throw new ThemeError(`A theme named "${clash.name}" already exists`, clash.id);
+    }
+    return trimmed;
+}
+
+/**
+ * Create a named theme from the given values (defaults to the built-in theme)
+ */
+async function createTheme(name, values = createDefaultTheme()) {
+    const themeData = {
+        id: generateId(),
+        name: await checkThemeName(name),
+        colors: { ...values.colors },
+        typography: { ...values.typography },
+        spacing: { ...(values.spacing || createDefaultTheme().spacing) },
+        scale: { ...values.scale },
+        timestamp: Date.now(),
+        version: '9.1'
+    };
+    
+    await addItem('themes', themeData);
+    await updateThemeSelect();
+    console.log(`Theme created: ${themeData.name}`);
+    return themeData;
+}
+
+/**
+ * Copy a saved theme under a new name
+ */
+async function duplicateTheme(id, name) {
+    const source = await getItem('themes', id);
+    if (!source) {
+        throw new ThemeError(`Theme ${id} not found`, id);
+    }
+    return createTheme(name, source);
+}
+
+/**
+ * Rename a saved theme
+ */
+async function renameTheme(id, name) {
+    const newName = await checkThemeName(name, id);
+    const existing = await getItem('themes', id);
+    if (!existing) {
+        throw new ThemeError(`Theme ${id} not found`, id);
+    }
+    
+    const updated = await updateItem('themes', id, { name: newName, timestamp: Date.now() });
+    if (id === activeThemeId) {
+        theme.name = newName;
+    }
+    await updateThemeSelect();
+    return updated;
+}
+
+/**
+ * Switch to a saved theme and apply it live
+ *
+ * options.remember (default true) makes it the theme chosen on next start;
+ * workspace themes are applied without it.
+ */
+async function switchTheme(id, options = {}) {
+    const record = await getItem('themes', id);
+    if (!record) {
+        throw new ThemeError(`Theme ${id} not found`, id);
+    }
+    
+    activeThemeId = id;
+    useThemeRecord(record);
+    applyTheme(theme);
+    setScale(currentScale);
+    
+    if (options.remember !== false) {
+        localStorage.setItem(ACTIVE_THEME_KEY, id);
+    }
+    await updateThemeSelect();
+    
+    console.log(`Switched to theme ${theme.name}`);
+    return theme;
+}
+
+/**
+ * Bind a theme to a workspace, or unbind it with null
+ */
+async function bindThemeToWorkspace(workspaceId, themeId) {
+    if (themeId && !(await getItem('themes', themeId))) {
+        throw new ThemeError(`Theme ${themeId} not found`, themeId);
+    }
+    return updateItem('workspaces', workspaceId, { themeId: themeId || null });
+}
+
+/**
+ * Apply the theme bound to a workspace, or the chosen theme if it has none
+ */
+async function applyWorkspaceTheme(workspaceId) {
+    const workspace = workspaceId ? await getItem('workspaces', workspaceId) : null;
+    const boundId = workspace && workspace.themeId;
+    
+    if (boundId && await getItem('themes', boundId)) {
+        return switchTheme(boundId, { remember: false });
+    }
+    
+    const rememberedId = getRememberedThemeId();
+    return switchTheme(await getItem('themes', rememberedId) ? rememberedId : DEFAULT_THEME_ID, { remember: false });
+}
+
+/**
+ * Build a shareable theme file: palette, typography and spacing only
+ *
+ * Scale is a per-screen preference and stays behind.
+ */
+async function buildThemeFile(id = activeThemeId) {
+    const record = await getItem('themes', id);
+    if (!record) {
+        throw new ThemeError(`Theme ${id} not found`, id);
+    }
+    
+    return {
+        magic: THEME_FILE_MAGIC,
+        version: THEME_FILE_VERSION,
+        date: new Date().toISOString(),
+        theme: {
+            name: getThemeName(record),
+            colors: { ...record.colors },
+            typography: { ...record.typography },
+            spacing: { ...(record.spacing || createDefaultTheme().spacing) }
+        }
+    };
+}
+
+/**
+ * Export a theme to its own JSON file
+ */
+async function exportThemeFile(id = activeThemeId) {
+    try {
+        const themeFile = await buildThemeFile(id);
+        const slug = themeFile.theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme';
+        const filename = `ods-theme-${slug}.json`;
+        downloadJSON(JSON.stringify(themeFile, null, 2), filename);
+        
+        console.log(`Theme export successful: ${filename}`);
+        return { success: true, filename: filename };
+    } catch (error) {
+        console.error('Theme export failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Check a parsed theme file
+ *
+ * Returns { valid, errors } listing every problem found.
+ */
+function validateThemeFile(data) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    
+    if (!isObject(data)) {
+        return { valid: false, errors: ['File does not contain a theme object'] };
+    }
+    if (data.magic === BACKUP_MAGIC) {
+        return { valid: false, errors: ['This is a full ODS backup, not a theme file. Use Import instead.'] };
+    }
+    if (data.magic !== THEME_FILE_MAGIC) {
+        return { valid: false, errors: ['Not an ODS theme file'] };
+    }
+    if (compareVersions(String(data.version), THEME_FILE_VERSION) > 0) {
+        return { valid: false, errors: [`Theme file version ${data.version} is from a newer version of ODS`] };
+    }
+    
+    const shared = data.theme;
+    if (!isObject(shared)) {
+        return { valid: false, errors: ['Missing "theme"'] };
+    }
+    
+    // Required keys first, so value checks only run on a complete theme
+    if (typeof shared.name !== 'string' || !shared.name.trim()) {
+        errors.push('Missing "theme.name"');
+    }
+    ['colors', 'typography'].forEach(section => {
+        if (!isObject(shared[section])) {
+            errors.push(`Missing "theme.${section}"`);
+        }
+    });
+    if (isObject(shared.colors)) {
+        ['background', 'text', 'ui'].forEach(key => {
+            if (shared.colors[key] === undefined) {
+                errors.push(`Missing "theme.colors.${key}"`);
+            }
+        });
+    }
+    if (isObject(shared.typography)) {
+        ['fontFamily', 'baseFontSize'].forEach(key => {
+            if (shared.typography[key] === undefined) {
+                errors.push(`Missing "theme.typography.${key}"`);
+            }
+        });
+    }
+    if (shared.spacing !== undefined && !isObject(shared.spacing)) {
+        errors.push('"theme.spacing" must be an object');
+    }
+    if (errors.length > 0) {
+        return { valid: false, errors: errors };
+    }
+    
+    errors.push(...validateThemeValues(getThemeFileValues(data)));
+    return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Theme values from a valid theme file, ignoring unknown keys
+ */
+function getThemeFileValues(data) {
+    const shared = data.theme;
+    return {
+        colors: {
+            background: shared.colors.background,
+            text: shared.colors.text,
+            ui: shared.colors.ui
+        },
+        typography: {
+            fontFamily: shared.typography.fontFamily,
+            baseFontSize: shared.typography.baseFontSize
+        },
+        spacing: {
+            unit: shared.spacing && shared.spacing.unit !== undefined ? shared.spacing.unit : createDefaultTheme().spacing.unit
+        },
+        scale: createDefaultTheme().scale
+    };
+}
+
+/**
+ * Pick a free theme name, adding (2), (3)... if needed
+ */
+async function getUniqueThemeName(name) {
+    const taken = new Set((await listThemes()).map(record => record.name.toLowerCase()));
+    let candidate = name;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        candidate = `${name} (${n})`;
+    }
+    return candidate;
+}
+
+/**
+ * Import a theme file as a new named theme
+ *
+ * options.activate switches to it. Resolves to { success, theme, warnings }
+ * or { success: false, error }.
+ */
+async function importThemeFile(file, options = {}) {
+    try {
+        let data;
+        try {
+            data = JSON.parse(await readFileAsText(file));
+        } catch (error) {
+            throw new ThemeError('Theme file is not valid JSON');
+        }
+        
+        const validation = validateThemeFile(data);
+        if (!validation.valid) {
+            throw new ThemeError(`Invalid theme file: ${validation.errors.join('; ')}`);
+        }
+        
+        const values = getThemeFileValues(data);
+        const created = await createTheme(await getUniqueThemeName(data.theme.name.trim()), values);
+        if (options.activate) {
+            await switchTheme(created.id);
+        }
+        
+        // Low contrast is allowed in, but the editor will not save it as is
+        const contrast = checkThemeContrast(values);
+        const warnings = contrast.pairs.filter(pair => !pair.passed)
+            .map(pair => `${pair.name} is ${formatContrastRatio(pair.ratio)}, below ${contrast.threshold}:1`);
+        
+        console.log(`Theme imported: ${created.name}`);
+        return { success: true, theme: created, warnings: warnings };
+    } catch (error) {
+        console.error('Theme import failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Fill the theme picker with saved themes
+ */
+async function updateThemeSelect() {
+    const select = document.getElementById('theme-select');
+    if (!select) return;
+    
+    const themes = await listThemes();
+    select.innerHTML = '';
+    themes.forEach(record => {
+        const option = document.createElement('option');
+        option.value = record.id;
+        option.textContent = record.name;
+        select.appendChild(option);
+    });
+    select.value = activeThemeId;
+}
+
+/**
+ * Ask for a name and run a theme action, reporting failures in a dialog
+ */
+async function promptThemeName(title, message, value, action) {
+    const name = await promptDialog(title, message, { label: 'Name', value: value, confirmLabel: 'Save' });
+    if (name === null) return;
+    
+    try {
+        await action(name);
+    } catch (error) {
+        await alertDialog(title, error.message);
+    }
+}
+
+/**
+ * Manage named themes: create, duplicate, rename, delete, bind to a workspace
+ */
+async function runThemeManager() {
+    const themes = await listThemes();
+    const list = themes.map(record => `${record.id === activeThemeId ? '> ' : '  '}${record.name}`).join('\n');
+    
+    const result = await showDialog({
+        title: 'Themes',
+        message: `Active theme: ${theme.name}\n\n${list}`,
+        actions: [
+            { label: 'New', value: 'new' },
+            { label: 'Duplicate', value: 'duplicate' },
+            { label: 'Rename', value: 'rename' },
+            { label: 'Delete', value: 'delete' },
+            { label: 'Workspace', value: 'workspace' },
+            { label: 'Export', value: 'export' },
+            { label: 'Import', value: 'import' },
+            { label: 'Close', value: null, primary: true }
+        ]
+    });
+    
+    switch (result.action) {
+        case 'new':
+            await promptThemeName('New theme', 'Starts from the built-in green on black theme.', '',
+                async name => switchTheme((await createTheme(name)).id));
+            break;
+        case 'duplicate':
+            await promptThemeName('Duplicate theme', `Copy "${theme.name}" as:`, `${theme.name} copy`,
+                async name => switchTheme((await duplicateTheme(activeThemeId, name)).id));
+            break;
+        case 'rename':
+            await promptThemeName('Rename theme', `Rename "${theme.name}" to:`, theme.name,
+                name => renameTheme(activeThemeId, name));
+            break;
+        case 'delete': {
+            const message = activeThemeId === DEFAULT_THEME_ID ?
+                'The default theme will be recreated with its saved values cleared.' :
+                `Delete "${theme.name}"? Workspaces using it go back to your chosen theme.`;
+            if (await confirmDialog('Delete theme', message, 'Delete')) {
+                await deleteTheme(activeThemeId);
+                if (activeThemeId === DEFAULT_THEME_ID) {
+                    resetTheme();
+                }
+            }
+            break;
+        }
+        case 'workspace':
+            await runWorkspaceThemeBinding(themes);
+            break;
+        case 'export': {
+            const exported = await exportThemeFile(activeThemeId);
+            if (!exported.success) {
+                await alertDialog('Export theme', exported.error);
+            }
+            break;
+        }
+        case 'import': {
+            const input = document.getElementById('theme-import-input');
+            if (input) {
+                input.click();
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * Ask which theme a workspace should use
+ */
+async function runWorkspaceThemeBinding(themes) {
+    const workspaces = await getAllItems('workspaces');
+    if (workspaces.length === 0) {
+        await alertDialog('Workspace theme', 'There are no workspaces yet.');
+        return;
+    }
+    
+    const result = await showDialog({
+        title: 'Workspace theme',
+        message: 'The theme is applied whenever the workspace is opened.',
+        fields: [
+            {
+                name: 'workspaceId',
+                label: 'Workspace',
+                type: 'select',
+                value: workspaces[0].id,
+                options: workspaces.map(workspace => ({ value: workspace.id, label: workspace.name || workspace.id }))
+            },
+            {
+                name: 'themeId',
+                label: 'Theme',
+                type: 'select',
+                value: activeThemeId,
+                options: [{ value: '', label: '(none - use chosen theme)' }]
+                    .concat(themes.map(record => ({ value: record.id, label: record.name })))
+            }
+        ],
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: 'Bind', value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    if (result.action !== true) return;
+    
+    try {
+        await bindThemeToWorkspace(result.values.workspaceId, result.values.themeId);
+    } catch (error) {
+        await alertDialog('Workspace theme', error.message);
+    }
+}
+
+/**
+ * Set up the theme picker and manager button
+ */
+async function setupThemeControls() {
+    const select = document.getElementById('theme-select');
+    if (select) {
+        select.addEventListener('change', () => switchTheme(select.value));
+        await updateThemeSelect();
+    }
+    
+    const themesBtn = document.getElementById('themes-btn');
+    if (themesBtn) {
+        themesBtn.addEventListener('click', () => runThemeManager());
+    }
+    
+    const importInput = document.getElementById('theme-import-input');
+    if (importInput) {
+        importInput.addEventListener('change', async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+            
+            const result = await importThemeFile(file, { activate: true });
+            if (result.success) {
+                const notes = result.warnings.length > 0 ? `\n\nWarning:\n${result.warnings.join('\n')}` : '';
+                await alertDialog('Import theme', `Imported and switched to "${result.theme.name}".${notes}`);
+            } else {
+                await alertDialog('Import theme', result.error);
+            }
+            
+            // Reset input so the same file can be picked again
+            event.target.value = '';
+        });
+    }
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -327,12 +1018,33 @@ if (typeof module !== 'undefined' && module.exports) {
         applyTheme,
         setScale,
         getScale,
+        setTopBarScale,
+        getTopBarScale,
+        setPanelScale,
+        getPanelScale,
+        applyComponentScales,
         scaleUp,
         scaleDown,
         saveTheme,
         loadTheme,
         deleteTheme,
         resetTheme,
+        listThemes,
+        createTheme,
+        duplicateTheme,
+        renameTheme,
+        switchTheme,
+        getActiveThemeId,
+        bindThemeToWorkspace,
+        applyWorkspaceTheme,
+        buildThemeFile,
+        exportThemeFile,
+        validateThemeFile,
+        importThemeFile,
+        THEME_FILE_MAGIC,
+        setupThemeControls,
+        ThemeError,
+        DEFAULT_THEME_ID,
         theme
     };
 }
\ No newline at end of file
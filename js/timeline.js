@@ -0,0 +1,550 @@
+// ODS v9.1 - Timeline Module
+console.log('Timeline module loaded');
+
+// Milliseconds in each unit
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// Zoom levels: visible range, axis tick spacing, and the step a drag or
+// Alt + arrow key moves a planned deployment by
+const TIMELINE_ZOOMS = {
+    hour: { label: 'Hour', range: MS_PER_HOUR, tick: 10 * MS_PER_MINUTE, snap: 5 * MS_PER_MINUTE },
+    day: { label: 'Day', range: MS_PER_DAY, tick: 3 * MS_PER_HOUR, snap: 30 * MS_PER_MINUTE },
+    week: { label: 'Week', range: 7 * MS_PER_DAY, tick: MS_PER_DAY, snap: 6 * MS_PER_HOUR }
+};
+
+// Zoom levels from closest to widest
+const TIMELINE_ZOOM_ORDER = ['hour', 'day', 'week'];
+
+// Events plotted for each operation, with the letter shown on the marker
+const TIMELINE_EVENTS = [
+    { kind: 'created', letter: 'C' },
+    { kind: 'staged', letter: 'S' },
+    { kind: 'deployed', letter: 'D' },
+    { kind: 'archived', letter: 'A' },
+    { kind: 'planned', letter: 'P' }
+];
+
+// Keys the timeline handles
+const TIMELINE_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown', '+', '=', '-', 'Enter'];
+
+// Pixels a pointer must move before a press on a track becomes a drag
+const TIMELINE_DRAG_THRESHOLD = 3;
+
+// View state of each mounted timeline, by panel body element
+const timelineStates = new WeakMap();
+
+/**
+ * Round a time down to a step, in local time so days start at midnight
+ */
+function alignTime(time, step) {
+    const offset = new Date(time).getTimezoneOffset() * MS_PER_MINUTE;
+    return Math.floor((time - offset) / step) * step + offset;
+}
+
+/**
+ * Zoom level for a panel's settings
+ */
+function getTimelineZoom(settings) {
+    return TIMELINE_ZOOMS[settings.zoom] ? settings.zoom : 'day';
+}
+
+/**
+ * Check whether an operation's deployment can still be moved
+ */
+function canReschedule(operation) {
+    const status = getOperationStatus(operation);
+    return status === OPERATION_STATUS.DRAFT || status === OPERATION_STATUS.STAGED;
+}
+
+/**
+ * Timestamped events of an operation, oldest first
+ *
+ * planned is the deployment time set with scheduleDeployment(), shown until
+ * the operation actually deploys.
+ */
+function getTimelineEvents(operation) {
+    const times = {
+        created: operation.created,
+        staged: getTransitionTime(operation, OPERATION_STATUS.STAGED),
+        deployed: getTransitionTime(operation, OPERATION_STATUS.DEPLOYED),
+        archived: getTransitionTime(operation, OPERATION_STATUS.ARCHIVED),
+        planned: canReschedule(operation) ? operation.deployAt : null
+    };
+    return TIMELINE_EVENTS
+        .filter(event => Number.isFinite(times[event.kind]))
+        .map(event => ({ ...event, time: times[event.kind] }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Load the workspace operations with an event between start and end
+ *
+ * Every transition bumps modified, so an operation with an event in the
+ * range was modified since it started, or has a planned deployment in it.
+ * Both are read by range on the workspace's compound indexes.
+ */
+async function loadTimelineOperations(context, start, end) {
+    const workspaceId = context.workspaceId;
+    const [touched, planned] = await Promise.all([
+        context.data.query('operations', {
+            index: 'workspaceId_modified',
+            range: { lower: [workspaceId, start], upper: [workspaceId, Infinity] },
+            filter: operation => operation.created < end
+        }),
+        context.data.query('operations', {
+            index: 'workspaceId_deployAt',
+            range: { lower: [workspaceId, start], upper: [workspaceId, end], upperOpen: true }
+        })
+    ]);
+    
+    // An operation can turn up in both
+    const operations = new Map();
+    [...touched.items, ...planned.items].forEach(operation => operations.set(operation.id, operation));
+    
+    return Array.from(operations.values())
+        .map(operation => ({ operation: operation, events: getTimelineEvents(operation) }))
+        .filter(row => row.events.some(event => event.time >= start && event.time < end))
+        .sort((a, b) => a.events[0].time - b.events[0].time);
+}
+
+/**
+ * Label for an axis tick
+ */
+function formatTimelineTick(time, zoom) {
+    const date = new Date(time);
+    if (zoom === 'week') {
+        return date.toLocaleDateString([], { weekday: 'short', day: 'numeric' });
+    }
+    const clock = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return zoom === 'day' && date.getHours() === 0 ? date.toLocaleDateString([], { month: 'short', day: 'numeric' }) : clock;
+}
+
+/**
+ * Position of a time along the visible range, in percent
+ */
+function timelinePercent(state, time) {
+    const zoom = TIMELINE_ZOOMS[getTimelineZoom(state.context.settings)];
+    return ((time - state.start) / zoom.range) * 100;
+}
+
+/**
+ * Build a marker for one event
+ */
+function buildTimelineMarker(state, event) {
+    const marker = document.createElement('span');
+    marker.className = `timeline-marker timeline-${event.kind}`;
+    marker.textContent = event.letter;
+    marker.title = `${event.kind} ${new Date(event.time).toLocaleString()}`;
+    marker.style.left = `${timelinePercent(state, event.time)}%`;
+    return marker;
+}
+
+/**
+ * Build the row for one operation
+ */
+function buildTimelineRow(state, row, start, end) {
+    const { operation, events } = row;
+    const item = document.createElement('li');
+    item.className = 'timeline-row';
+    item.dataset.operationId = operation.id;
+    item.tabIndex = -1;
+    item.setAttribute('role', 'option');
+    if (canReschedule(operation)) {
+        item.dataset.reschedulable = 'true';
+    }
+    
+    const summary = events.map(event => `${event.kind} ${new Date(event.time).toLocaleString()}`).join(', ');
+    item.setAttribute('aria-label', `${getOperationLabel(operation)}, ${getOperationStatus(operation)}: ${summary}`);
+    
+    const label = document.createElement('span');
+    label.className = 'timeline-label';
+    label.textContent = getOperationLabel(operation);
+    item.appendChild(label);
+    
+    const track = document.createElement('span');
+    track.className = 'timeline-track';
+    
+    // Line from the first to the last event, clipped to the range
+    const first = Math.max(events[0].time, start);
+    const last = Math.min(events[events.length - 1].time, end);
+    if (last > first) {
+        const span = document.createElement('span');
+        span.className = 'timeline-span';
+        span.style.left = `${timelinePercent(state, first)}%`;
+        span.style.width = `${timelinePercent(state, last) - timelinePercent(state, first)}%`;
+        track.appendChild(span);
+    }
+    
+    events.filter(event => event.time >= start && event.time < end).forEach(event => {
+        track.appendChild(buildTimelineMarker(state, event));
+    });
+    item.appendChild(track);
+    return item;
+}
+
+/**
+ * Draw the axis, rows and the current time line
+ */
+async function drawTimeline(element) {
+    const state = timelineStates.get(element);
+    if (!state) return;
+    if (state.drag) {
+        // Redraw once the drag ends so the marker is not pulled from under the pointer
+        state.redrawAfterDrag = true;
+        return;
+    }
+    
+    const zoomName = getTimelineZoom(state.context.settings);
+    const zoom = TIMELINE_ZOOMS[zoomName];
+    const start = state.start;
+    const end = start + zoom.range;
+    const rows = await loadTimelineOperations(state.context, start, end);
+    if (timelineStates.get(element) !== state) return;
+    
+    const view = element.querySelector('.timeline');
+    const hadFocus = view.contains(document.activeElement);
+    
+    element.querySelector('.timeline-range').textContent =
+        `${new Date(start).toLocaleString()} - ${new Date(end).toLocaleString()}`;
+    element.querySelectorAll('[data-zoom]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.zoom === zoomName));
+    });
+    
+    view.innerHTML = '';
+    
+    const axis = document.createElement('div');
+    axis.className = 'timeline-axis';
+    axis.setAttribute('aria-hidden', 'true');
+    const ticks = document.createElement('span');
+    ticks.className = 'timeline-track';
+    for (let time = alignTime(start, zoom.tick); time < end; time += zoom.tick) {
+        if (time < start) continue;
+        const tick = document.createElement('span');
+        tick.className = 'timeline-tick';
+        tick.style.left = `${timelinePercent(state, time)}%`;
+        tick.textContent = formatTimelineTick(time, zoomName);
+        ticks.appendChild(tick);
+    }
+    const now = Date.now();
+    if (now >= start && now < end) {
+        const line = document.createElement('span');
+        line.className = 'timeline-now';
+        line.style.left = `${timelinePercent(state, now)}%`;
+        ticks.appendChild(line);
+    }
+    axis.append(document.createElement('span'), ticks);
+    view.appendChild(axis);
+    
+    const list = document.createElement('ul');
+    list.className = 'timeline-rows';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', 'Operations by time');
+    view.appendChild(list);
+    
+    if (rows.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'panel-row-meta';
+        empty.textContent = 'No operations in this range.';
+        list.appendChild(empty);
+        view.tabIndex = 0;
+        if (hadFocus) view.focus();
+        return;
+    }
+    
+    rows.forEach(row => list.appendChild(buildTimelineRow(state, row, start, end)));
+    
+    // One row takes focus at a time; keep the one the user was on
+    view.removeAttribute('tabindex');
+    const items = Array.from(list.querySelectorAll('.timeline-row'));
+    const current = items.find(item => item.dataset.operationId === state.focusedId) || items[0];
+    current.tabIndex = 0;
+    current.setAttribute('aria-selected', 'true');
+    if (hadFocus) current.focus();
+}
+
+/**
+ * Focus a row and remember it across redraws
+ */
+function focusTimelineRow(element, item) {
+    const state = timelineStates.get(element);
+    element.querySelectorAll('.timeline-row').forEach(row => {
+        row.tabIndex = row === item ? 0 : -1;
+        row.setAttribute('aria-selected', String(row === item));
+    });
+    state.focusedId = item.dataset.operationId;
+    item.focus();
+}
+
+/**
+ * Move the visible range by a number of milliseconds, or back to now with null
+ */
+function panTimeline(element, delta) {
+    const state = timelineStates.get(element);
+    const zoom = TIMELINE_ZOOMS[getTimelineZoom(state.context.settings)];
+    state.start = delta === null ? alignTime(Date.now() - zoom.range / 4, zoom.tick) : state.start + delta;
+    return drawTimeline(element);
+}
+
+/**
+ * Change zoom level, keeping the middle of the range in view
+ */
+async function zoomTimeline(element, zoomName) {
+    const state = timelineStates.get(element);
+    const current = TIMELINE_ZOOMS[getTimelineZoom(state.context.settings)];
+    const next = TIMELINE_ZOOMS[zoomName];
+    if (!next) return;
+    
+    const middle = state.start + current.range / 2;
+    state.start = alignTime(middle - next.range / 2, next.tick);
+    await state.context.saveSettings({ zoom: zoomName });
+    return drawTimeline(element);
+}
+
+/**
+ * Reschedule an operation's deployment, telling the user when it is refused
+ */
+async function rescheduleFromTimeline(operationId, time) {
+    try {
+        await scheduleDeployment(operationId, time);
+    } catch (error) {
+        await alertDialog('Cannot reschedule', error.message);
+    }
+}
+
+/**
+ * Format a time for a datetime-local input
+ */
+function toLocalInputValue(time) {
+    const date = new Date(time - new Date(time).getTimezoneOffset() * MS_PER_MINUTE);
+    return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Ask for a deployment time for the focused operation
+ */
+async function promptDeploymentTime(operationId) {
+    const operation = await getItem('operations', operationId);
+    if (!operation || !canReschedule(operation)) return;
+    
+    const value = await promptDialog('Schedule deployment', `When should "${getOperationLabel(operation)}" deploy? Leave empty to clear.`, {
+        label: 'Deploy at',
+        type: 'datetime-local',
+        value: toLocalInputValue(Number.isFinite(operation.deployAt) ? operation.deployAt : Date.now()),
+        confirmLabel: 'Schedule'
+    });
+    if (value === null) return;
+    
+    const time = value ? new Date(value).getTime() : null;
+    if (Number.isNaN(time)) {
+        await alertDialog('Schedule deployment', `"${value}" is not a date and time.`);
+        return;
+    }
+    await rescheduleFromTimeline(operationId, time);
+}
+
+/**
+ * Keyboard control
+ *
+ * Up/Down/Home/End move between operations, Left/Right and PageUp/PageDown
+ * move the range, +/- zoom, Alt + Left/Right move the focused operation's
+ * planned deployment and Enter asks for an exact time.
+ */
+async function handleTimelineKey(element, event) {
+    const state = timelineStates.get(element);
+    if (!state || !event.target.closest('.timeline') || !TIMELINE_KEYS.includes(event.key)) return;
+    // Ctrl/Cmd + Plus/Minus belong to the app-wide scale shortcuts
+    if (event.ctrlKey || event.metaKey) return;
+    
+    // Before any await, so the page does not scroll and Alt + Left does not go back
+    event.preventDefault();
+    event.stopPropagation();
+    const zoom = TIMELINE_ZOOMS[getTimelineZoom(state.context.settings)];
+    const items = Array.from(element.querySelectorAll('.timeline-row'));
+    const item = event.target.closest('.timeline-row');
+    const index = items.indexOf(item);
+    
+    const focusAt = (next) => {
+        if (items.length > 0) {
+            focusTimelineRow(element, items[Math.max(0, Math.min(next, items.length - 1))]);
+        }
+    };
+    
+    switch (event.key) {
+        case 'ArrowUp':
+            focusAt(index - 1);
+            break;
+        case 'ArrowDown':
+            focusAt(index + 1);
+            break;
+        case 'Home':
+            focusAt(0);
+            break;
+        case 'End':
+            focusAt(items.length - 1);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            const direction = event.key === 'ArrowLeft' ? -1 : 1;
+            if (!event.altKey) {
+                await panTimeline(element, direction * zoom.tick);
+                break;
+            }
+            if (!item || !item.dataset.reschedulable) break;
+            const operation = await getItem('operations', item.dataset.operationId);
+            const from = Number.isFinite(operation.deployAt) ? operation.deployAt : alignTime(Date.now(), zoom.snap);
+            await rescheduleFromTimeline(operation.id, from + direction * zoom.snap);
+            break;
+        }
+        case 'PageUp':
+            await panTimeline(element, -zoom.range);
+            break;
+        case 'PageDown':
+            await panTimeline(element, zoom.range);
+            break;
+        case '+':
+        case '=':
+            await zoomTimeline(element, TIMELINE_ZOOM_ORDER[Math.max(0, TIMELINE_ZOOM_ORDER.indexOf(getTimelineZoom(state.context.settings)) - 1)]);
+            break;
+        case '-':
+            await zoomTimeline(element, TIMELINE_ZOOM_ORDER[Math.min(TIMELINE_ZOOM_ORDER.length - 1, TIMELINE_ZOOM_ORDER.indexOf(getTimelineZoom(state.context.settings)) + 1)]);
+            break;
+        case 'Enter':
+            if (item && item.dataset.reschedulable) {
+                await promptDeploymentTime(item.dataset.operationId);
+            }
+            break;
+    }
+}
+
+/**
+ * Drag along a row to move the operation's planned deployment
+ */
+function setupTimelineDrag(element) {
+    const view = element.querySelector('.timeline');
+    
+    const timeAt = (state, clientX) => {
+        const zoom = TIMELINE_ZOOMS[getTimelineZoom(state.context.settings)];
+        const { rect } = state.drag;
+        const fraction = Math.min(Math.max((clientX - rect.left) / (rect.width || 1), 0), 1);
+        // Nearest step in local time, on the same grid as the axis and Alt + arrow keys
+        return alignTime(state.start + fraction * zoom.range + zoom.snap / 2, zoom.snap);
+    };
+    
+    view.addEventListener('pointerdown', (event) => {
+        const state = timelineStates.get(element);
+        const track = event.target.closest('.timeline-row .timeline-track');
+        if (!state || !track) return;
+        
+        const item = track.closest('.timeline-row');
+        focusTimelineRow(element, item);
+        if (!item.dataset.reschedulable) return;
+        
+        event.preventDefault();
+        state.drag = { id: item.dataset.operationId, track: track, rect: track.getBoundingClientRect(), startX: event.clientX, time: null };
+        if (track.setPointerCapture) {
+            track.setPointerCapture(event.pointerId);
+        }
+    });
+    
+    view.addEventListener('pointermove', (event) => {
+        const state = timelineStates.get(element);
+        if (!state || !state.drag) return;
+        const { drag } = state;
+        if (drag.time === null && Math.abs(event.clientX - drag.startX) < TIMELINE_DRAG_THRESHOLD) return;
+        
+        drag.time = timeAt(state, event.clientX);
+        let marker = drag.track.querySelector('.timeline-planned');
+        if (!marker) {
+            marker = buildTimelineMarker(state, { kind: 'planned', letter: 'P', time: drag.time });
+            drag.track.appendChild(marker);
+        }
+        marker.classList.add('dragging');
+        marker.style.left = `${timelinePercent(state, drag.time)}%`;
+        marker.title = `planned ${new Date(drag.time).toLocaleString()}`;
+    });
+    
+    const endDrag = async () => {
+        const state = timelineStates.get(element);
+        if (!state || !state.drag) return;
+        const { drag } = state;
+        state.drag = null;
+        
+        if (drag.time !== null) {
+            await rescheduleFromTimeline(drag.id, drag.time);
+        }
+        if (state.redrawAfterDrag || drag.time !== null) {
+            state.redrawAfterDrag = false;
+            await drawTimeline(element);
+        }
+    };
+    view.addEventListener('pointerup', endDrag);
+    view.addEventListener('pointercancel', endDrag);
+}
+
+// Operations plotted by time, with zoom and drag to reschedule
+registerPanelType('timeline', {
+    title: 'Timeline',
+    stores: ['operations'],
+    mount(element, context) {
+        const zoom = TIMELINE_ZOOMS[getTimelineZoom(context.settings)];
+        timelineStates.set(element, {
+            context: context,
+            start: alignTime(Date.now() - zoom.range / 4, zoom.tick),
+            focusedId: null,
+            drag: null,
+            redrawAfterDrag: false
+        });
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'panel-toolbar';
+        [
+            ['<', 'Earlier', () => panTimeline(element, -TIMELINE_ZOOMS[getTimelineZoom(context.settings)].range)],
+            ['Now', 'Show the current time', () => panTimeline(element, null)],
+            ['>', 'Later', () => panTimeline(element, TIMELINE_ZOOMS[getTimelineZoom(context.settings)].range)]
+        ].concat(TIMELINE_ZOOM_ORDER.map(name => {
+            return [TIMELINE_ZOOMS[name].label, `Zoom to one ${name}`, () => zoomTimeline(element, name), name];
+        })).forEach(([label, description, onClick, zoomName]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = description;
+            button.setAttribute('aria-label', description);
+            if (zoomName) {
+                button.dataset.zoom = zoomName;
+            }
+            button.addEventListener('click', onClick);
+            toolbar.appendChild(button);
+        });
+        
+        const range = document.createElement('span');
+        range.className = 'timeline-range panel-row-meta';
+        range.setAttribute('aria-live', 'polite');
+        toolbar.appendChild(range);
+        
+        const view = document.createElement('div');
+        view.className = 'timeline';
+        view.setAttribute('aria-keyshortcuts', 'ArrowUp ArrowDown ArrowLeft ArrowRight PageUp PageDown + - Alt+ArrowLeft Alt+ArrowRight Enter');
+        element.append(toolbar, view);
+        
+        element.addEventListener('keydown', (event) => handleTimelineKey(element, event));
+        setupTimelineDrag(element);
+    },
+    render(element) {
+        return drawTimeline(element);
+    },
+    unmount(element) {
+        timelineStates.delete(element);
+    }
+});
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getTimelineEvents,
+        loadTimelineOperations,
+        alignTime,
+        canReschedule,
+        TIMELINE_ZOOMS
+    };
+}
\ No newline at end of file
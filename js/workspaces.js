@@ -0,0 +1,394 @@
+// ODS v9.1 - Workspaces Module
+console.log('Workspaces module loaded');
+
+// localStorage key for the workspace opened on start
+const ACTIVE_WORKSPACE_KEY = 'ods_active_workspace';
+
+// Name of the workspace created when there are none
+const DEFAULT_WORKSPACE_NAME = 'Main';
+
+// What happens to a deleted workspace's operations
+const WORKSPACE_DELETE_MODES = {
+    DELETE: 'delete',
+    MOVE: 'move'
+};
+
+/**
+ * Raised when a workspace action is refused
+ */
+class WorkspaceError extends Error {
+    constructor(message, workspaceId) {
+        super(message);
+        this.name = 'WorkspaceError';
+        this.workspaceId = workspaceId;
+    }
+}
+
+/**
+ * Display name of a workspace record
+ */
+function getWorkspaceName(record) {
+    return record.name || record.id;
+}
+
+/**
+ * Id of the workspace to open on start, or null
+ */
+function getRememberedWorkspaceId() {
+    return localStorage.getItem(ACTIVE_WORKSPACE_KEY);
+}
+
+/**
+ * List workspaces by name
+ */
+async function listWorkspaces() {
+    const workspaces = await getAllItems('workspaces');
+    return workspaces
+        .map(record => ({ ...record, name: getWorkspaceName(record) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check a workspace name is present and not used by another workspace
+ */
+async function checkWorkspaceName(name, exceptId = null) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new WorkspaceError('Workspace name is required', exceptId);
+    }
+    
+    const workspaces = await listWorkspaces();
+    const clash = workspaces.find(record => record.id !== exceptId && record.name.toLowerCase() === trimmed.toLowerCase());
+    if (clash) {
+        throw new WorkspaceError(`A workspace named "${clash.name}" already exists`, clash.id);
+    }
+    return trimmed;
+}
+
+/**
+ * Create an empty workspace
+ *
+ * values may carry a starting layout and themeId.
+ */
+async function createWorkspace(name, values = {}) {
+    const now = Date.now();
+    const layout = values.layout ? normalizeLayout(values.layout) : null;
+    const workspace = {
+        name: await checkWorkspaceName(name),
+        layout: layout,
+        panels: listLayoutPanels(layout).map(panel => ({ id: panel.id, type: panel.type })),
+        themeId: values.themeId || null,
+        created: now,
+        modified: now
+    };
+    
+    const id = await addItem('workspaces', workspace);
+    await updateWorkspaceSelect();
+    console.log(`Workspace created: ${workspace.name}`);
+    return { ...workspace, id: id };
+}
+
+/**
+ * Rename a workspace
+ */
+async function renameWorkspace(id, name) {
+    const newName = await checkWorkspaceName(name, id);
+    if (!(await getItem('workspaces', id))) {
+        throw new WorkspaceError(`Workspace ${id} not found`, id);
+    }
+    
+    const updated = await updateItem('workspaces', id, { name: newName });
+    await updateWorkspaceSelect();
+    return updated;
+}
+
+/**
+ * Copy a workspace's layout and theme under a new name
+ *
+ * Panels get new ids so their scales and settings can change apart.
+ * options.operations also copies the workspace's operations, history and all.
+ */
+async function cloneWorkspace(id, name, options = {}) {
+    const source = await getItem('workspaces', id);
+    if (!source) {
+        throw new WorkspaceError(`Workspace ${id} not found`, id);
+    }
+    
+    const copy = await createWorkspace(name, {
+        layout: copyLayout(getWorkspaceLayout(source)),
+        themeId: source.themeId
+    });
+    
+    if (options.operations) {
+        const operations = await getItemsByIndex('operations', 'workspaceId', id);
+        if (operations.length > 0) {
+            await bulkAdd('operations', operations.map(({ id: operationId, ...operation }) => ({ ...operation, workspaceId: copy.id })));
+        }
+    }
+    return copy;
+}
+
+/**
+ * Delete a workspace and decide what happens to its operations
+ *
+ * By default its operations are deleted with it. With options.moveTo they
+ * move to that workspace instead. Both happen in one transaction. The last
+ * workspace cannot be deleted; if the open workspace is deleted the app
+ * switches away from it first.
+ */
+async function deleteWorkspace(id, options = {}) {
+    const workspaces = await listWorkspaces();
+    const workspace = workspaces.find(record => record.id === id);
+    if (!workspace) {
+        throw new WorkspaceError(`Workspace ${id} not found`, id);
+    }
+    if (workspaces.length === 1) {
+        throw new WorkspaceError('Cannot delete the only workspace', id);
+    }
+    if (options.moveTo !== undefined && (options.moveTo === id || !workspaces.some(record => record.id === options.moveTo))) {
+        throw new WorkspaceError('Operations must move to another existing workspace', id);
+    }
+    
+    if (id === getActiveWorkspaceId()) {
+        const next = options.moveTo || workspaces.find(record => record.id !== id).id;
+        await switchWorkspace(next);
+    }
+    
+    const operations = await getItemsByIndex('operations', 'workspaceId', id);
+    const mode = options.moveTo ? WORKSPACE_DELETE_MODES.MOVE : WORKSPACE_DELETE_MODES.DELETE;
+    const now = Date.now();
+    const steps = [{ store: 'workspaces', op: 'delete', records: [id] }];
+    if (operations.length > 0) {
+        steps.push(mode === WORKSPACE_DELETE_MODES.MOVE ?
+            { store: 'operations', op: 'put', records: operations.map(operation => ({ ...operation, workspaceId: options.moveTo, modified: now })) } :
+            { store: 'operations', op: 'delete', records: operations.map(operation => operation.id) });
+    }
+    await bulkWrite(steps);
+    
+    if (getRememberedWorkspaceId() === id) {
+        localStorage.removeItem(ACTIVE_WORKSPACE_KEY);
+    }
+    await updateWorkspaceSelect();
+    
+    console.log(`Workspace deleted: ${workspace.name} (${operations.length} operations ${mode === WORKSPACE_DELETE_MODES.MOVE ? 'moved' : 'deleted'})`);
+    return { workspace: workspace, mode: mode, operations: operations.length };
+}
+
+/**
+ * Open a workspace and make it the one opened on start
+ */
+async function switchWorkspace(id) {
+    const workspace = await openWorkspace(id);
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, id);
+    return workspace;
+}
+
+/**
+ * Open the remembered workspace, else the oldest, creating one if there are none
+ */
+async function openStartWorkspace(container = document.getElementById('main-container')) {
+    const rememberedId = getRememberedWorkspaceId();
+    let workspaceId = rememberedId && await getItem('workspaces', rememberedId) ? rememberedId : null;
+    
+    if (!workspaceId) {
+        const workspaces = await getAllItems('workspaces');
+        workspaces.sort((a, b) => (a.created || 0) - (b.created || 0));
+        workspaceId = workspaces.length > 0 ? workspaces[0].id : (await createWorkspace(DEFAULT_WORKSPACE_NAME)).id;
+    }
+    
+    const workspace = await openWorkspace(workspaceId, container);
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+    return workspace;
+}
+
+/**
+ * Fill the workspace switcher
+ */
+async function updateWorkspaceSelect() {
+    const select = document.getElementById('workspace-select');
+    if (!select) return;
+    
+    const workspaces = await listWorkspaces();
+    select.innerHTML = '';
+    workspaces.forEach(record => {
+        const option = document.createElement('option');
+        option.value = record.id;
+        option.textContent = record.name;
+        select.appendChild(option);
+    });
+    select.value = getActiveWorkspaceId() || '';
+}
+
+/**
+ * Ask for a name and run a workspace action, reporting failures in a dialog
+ */
+async function promptWorkspaceName(title, message, value, action) {
+    const name = await promptDialog(title, message, { label: 'Name', value: value, confirmLabel: 'Save' });
+    if (name === null) return;
+    
+    try {
+        await action(name);
+    } catch (error) {
+        await alertDialog(title, error.message);
+    }
+}
+
+/**
+ * Ask whether to copy operations too, then clone the open workspace
+ */
+async function runCloneWorkspace(workspace) {
+    const result = await showDialog({
+        title: 'Clone workspace',
+        message: `Copy "${workspace.name}" with its panels and theme.`,
+        fields: [
+            { name: 'name', label: 'Name', value: `${workspace.name} copy` },
+            {
+                name: 'operations',
+                label: 'Operations',
+                type: 'select',
+                value: 'no',
+                options: [
+                    { value: 'no', label: 'Leave operations behind' },
+                    { value: 'yes', label: 'Copy operations too' }
+                ]
+            }
+        ],
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: 'Clone', value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    if (result.action !== true) return;
+    
+    try {
+        const copy = await cloneWorkspace(workspace.id, result.values.name, { operations: result.values.operations === 'yes' });
+        await switchWorkspace(copy.id);
+    } catch (error) {
+        await alertDialog('Clone workspace', error.message);
+    }
+}
+
+/**
+ * Ask what happens to the open workspace's operations, then delete it
+ */
+async function runDeleteWorkspace(workspace, workspaces) {
+    const others = workspaces.filter(record => record.id !== workspace.id);
+    if (others.length === 0) {
+        await alertDialog('Delete workspace', 'This is the only workspace. Create another one before deleting it.');
+        return;
+    }
+    
+    const count = (await getItemsByIndex('operations', 'workspaceId', workspace.id)).length;
+    const result = await showDialog({
+        title: 'Delete workspace',
+        message: `Delete "${workspace.name}"? It owns ${count} operations.`,
+        fields: [{
+            name: 'operations',
+            label: 'Its operations',
+            type: 'select',
+            value: WORKSPACE_DELETE_MODES.DELETE,
+            options: [{ value: WORKSPACE_DELETE_MODES.DELETE, label: 'Delete them' }]
+                .concat(others.map(record => ({ value: record.id, label: `Move to ${record.name}` })))
+        }],
+        actions: [
+            { label: 'Cancel', value: false },
+            { label: 'Delete', value: true, primary: true }
+        ],
+        cancelValue: false
+    });
+    if (result.action !== true) return;
+    
+    try {
+        const choice = result.values.operations;
+        await deleteWorkspace(workspace.id, choice === WORKSPACE_DELETE_MODES.DELETE ? {} : { moveTo: choice });
+    } catch (error) {
+        await alertDialog('Delete workspace', error.message);
+    }
+}
+
+/**
+ * Manage workspaces: create, rename, clone, delete
+ */
+async function runWorkspaceManager() {
+    const workspaces = await listWorkspaces();
+    const activeId = getActiveWorkspaceId();
+    const active = workspaces.find(record => record.id === activeId);
+    if (!active) return;
+    
+    const list = workspaces.map(record => `${record.id === activeId ? '> ' : '  '}${record.name}`).join('\n');
+    const result = await showDialog({
+        title: 'Workspaces',
+        message: `Open workspace: ${active.name}\n\n${list}`,
+        actions: [
+            { label: 'New', value: 'new' },
+            { label: 'Rename', value: 'rename' },
+            { label: 'Clone', value: 'clone' },
+            { label: 'Delete', value: 'delete' },
+            { label: 'Close', value: null, primary: true }
+        ]
+    });
+    
+    switch (result.action) {
+        case 'new':
+            await promptWorkspaceName('New workspace', 'Starts with no panels.', '',
+                async name => switchWorkspace((await createWorkspace(name)).id));
+            break;
+        case 'rename':
+            await promptWorkspaceName('Rename workspace', `Rename "${active.name}" to:`, active.name,
+                name => renameWorkspace(active.id, name));
+            break;
+        case 'clone':
+            await runCloneWorkspace(active);
+            break;
+        case 'delete':
+            await runDeleteWorkspace(active, workspaces);
+            break;
+    }
+}
+
+/**
+ * Set up the workspace switcher and manager button
+ */
+async function setupWorkspaceControls() {
+    const select = document.getElementById('workspace-select');
+    if (select) {
+        select.addEventListener('change', async () => {
+            try {
+                await switchWorkspace(select.value);
+            } catch (error) {
+                console.error('Failed to switch workspace:', error);
+                // Show the workspace that is still open
+                select.value = getActiveWorkspaceId() || '';
+                await alertDialog('Switch workspace', error.message);
+            }
+        });
+        await updateWorkspaceSelect();
+    }
+    
+    const workspacesBtn = document.getElementById('workspaces-btn');
+    if (workspacesBtn) {
+        workspacesBtn.addEventListener('click', () => runWorkspaceManager());
+    }
+    
+    // Names change in other tabs and after imports
+    onDataChange(() => updateWorkspaceSelect(), { store: 'workspaces' });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        listWorkspaces,
+        createWorkspace,
+        renameWorkspace,
+        cloneWorkspace,
+        deleteWorkspace,
+        switchWorkspace,
+        openStartWorkspace,
+        getRememberedWorkspaceId,
+        updateWorkspaceSelect,
+        setupWorkspaceControls,
+        WorkspaceError,
+        WORKSPACE_DELETE_MODES
+    };
+}
\ No newline at end of file